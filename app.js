@@ -15,6 +15,40 @@
 const API_CONFIG = {
     BASE_URL: 'https://api.dictionaryapi.dev/api/v2/entries/en',
     TIMEOUT: 10000, // 10 seconds
+    RETRIES: 2, // Extra attempts after a transient failure
+    RETRY_DELAY: 500, // First backoff in milliseconds, doubled on each retry
+    MAX_RETRY_DELAY: 5000, // Don't wait longer than this, even if Retry-After asks
+};
+
+/**
+ * Dictionary provider chain - providers are tried in order until one
+ * returns an entry. Point `url` at your own glossary to use curated
+ * definitions ahead of (or instead of) the public API.
+ */
+const PROVIDER_CONFIG = {
+    CHAIN: [
+        { type: 'local', url: 'glossary.json' },
+        { type: 'dictionaryapi', baseUrl: API_CONFIG.BASE_URL, timeout: API_CONFIG.TIMEOUT },
+    ],
+};
+
+/**
+ * Entry cache configuration (IndexedDB)
+ */
+const CACHE_CONFIG = {
+    DB_NAME: 'wordly_cache',
+    DB_VERSION: 2, // v2: records hold every homograph entry
+    STORE_NAME: 'entries',
+    MAX_ENTRIES: 500,
+    TTL: 7 * 24 * 60 * 60 * 1000, // 7 days
+};
+
+/**
+ * Service worker configuration
+ */
+const SW_CONFIG = {
+    SCRIPT_URL: 'sw.js',
+    UPDATE_CHECK_INTERVAL: 60 * 60 * 1000, // 1 hour
 };
 
 /**
@@ -23,7 +57,12 @@ const API_CONFIG = {
 const STORAGE_KEYS = {
     SEARCH_HISTORY: 'wordly_search_history',
     FAVORITES: 'wordly_favorites',
+    COLLECTIONS: 'wordly_collections',
     THEME: 'wordly_theme',
+    REVIEWS: 'wordly_reviews',
+    ACTIVITY: 'wordly_activity',
+    SETTINGS: 'wordly_settings',
+    SCHEMA_VERSION: 'wordly_schema_version',
 };
 
 /**
@@ -31,8 +70,169 @@ const STORAGE_KEYS = {
  */
 const APP_CONSTANTS = {
     MAX_HISTORY_ITEMS: 50,
-    MAX_FAVORITES_ITEMS: 100,
     DEFAULT_WORD: 'language',
+    WORD_LIST_URL: 'wordlist.json',
+    WORD_POOL_URL: 'wordpool.json',
+};
+
+/**
+ * User settings: startup word and Random word source
+ */
+const SETTINGS_CONFIG = {
+    STARTUP: {
+        WORD_OF_THE_DAY: 'wordOfTheDay',
+        LAST_VIEWED: 'lastViewed',
+        FIXED: 'fixed',
+    },
+    RANDOM_SOURCES: {
+        POOL: 'pool',
+        FAVORITES: 'favorites',
+        // Any other value is a collection ID
+    },
+    ANY: 'all', // No level/theme filter
+    DEFAULTS: {
+        startupWord: 'wordOfTheDay',
+        fixedWord: APP_CONSTANTS.DEFAULT_WORD,
+        randomSource: 'pool',
+        randomLevel: 'all',
+        randomTheme: 'all',
+        voiceURI: '', // Browser default voice
+        speechRate: 1,
+        autoplay: false, // Play the pronunciation after each lookup
+        playbackRate: 1,
+        loopAudio: false,
+    },
+};
+
+/**
+ * Pronunciation accents, inferred from audio file names like "water-uk.mp3"
+ */
+const PRONUNCIATION_CONFIG = {
+    ACCENTS: {
+        uk: { label: 'UK', name: 'British' },
+        us: { label: 'US', name: 'American' },
+        au: { label: 'AU', name: 'Australian' },
+        ca: { label: 'CA', name: 'Canadian' },
+        ie: { label: 'IE', name: 'Irish' },
+        nz: { label: 'NZ', name: 'New Zealand' },
+        sc: { label: 'SC', name: 'Scottish' },
+        in: { label: 'IN', name: 'Indian' },
+    },
+    SLOW_LOAD_MS: 4000, // Say so when a recording takes this long to start
+    PLAYBACK_RATES: [1, 0.75, 0.5], // Speeds offered by the playback controls
+    REPLAY_KEY: 'p',
+};
+
+/**
+ * Speech synthesis (read-aloud) configuration
+ */
+const SPEECH_CONFIG = {
+    LANGUAGE: 'en', // Voices offered in settings
+    MIN_RATE: 0.5,
+    MAX_RATE: 1.5,
+    RATE_STEP: 0.1,
+};
+
+/**
+ * Clickable words in definitions and examples
+ */
+const WORD_LINK_CONFIG = {
+    MIN_LENGTH: 3, // Shorter words are never linked
+    MAX_TRAIL: 8, // Words kept in the breadcrumb trail
+};
+
+/**
+ * Word relationship graph (force-directed layout)
+ */
+const GRAPH_CONFIG = {
+    MAX_NEIGHBORS: 10, // Related words added per expanded word
+    MAX_NODES: 80,
+    LINK_LENGTH: 90,
+    REPULSION: 6000,
+    SPRING: 0.05,
+    GRAVITY: 0.02,
+    DAMPING: 0.6,
+    ALPHA_DECAY: 0.97, // Cooling per frame; the layout stops below MIN_ALPHA
+    MIN_ALPHA: 0.01,
+    MIN_ZOOM: 0.3,
+    MAX_ZOOM: 3,
+    ZOOM_STEP: 1.25,
+};
+
+/**
+ * Search-as-you-type configuration
+ */
+const AUTOCOMPLETE_CONFIG = {
+    DEBOUNCE_MS: 150,
+    MAX_SUGGESTIONS: 8,
+    MIN_FUZZY_LENGTH: 3, // Shorter queries only get prefix matches
+    SOURCE_BOOST: {
+        favorites: 20,
+        history: 15,
+        cached: 10,
+        wordList: 0,
+    },
+};
+
+/**
+ * Spaced-repetition (SM-2) review configuration
+ */
+const REVIEW_CONFIG = {
+    SESSION_SIZE: 20,
+    DEFAULT_EASE: 2.5,
+    MIN_EASE: 1.3,
+    PASSING_GRADE: 3, // Grades below this reset the card
+    MAX_DEFINITIONS: 3, // Definitions shown on the back of a card
+    GRADES: [
+        { grade: 1, label: 'Again', key: '1' },
+        { grade: 3, label: 'Hard', key: '2' },
+        { grade: 4, label: 'Good', key: '3' },
+        { grade: 5, label: 'Easy', key: '4' },
+    ],
+};
+
+/**
+ * Quiz configuration
+ */
+const QUIZ_CONFIG = {
+    SIZE: 10,
+    CHOICES: 4,
+    MIN_WORDS: 4, // Cached words needed for multiple-choice distractors
+};
+
+/**
+ * Learning statistics configuration
+ */
+const STATS_CONFIG = {
+    DAYS: 14, // Days in the daily lookups chart
+    WEEKS: 8, // Weeks in the weekly lookups chart
+    TOP_WORDS: 8,
+    MAX_ACTIVITY_DAYS: 365, // Older daily counters are dropped
+};
+
+/**
+ * Backup (import/export) configuration
+ */
+const BACKUP_CONFIG = {
+    APP: 'wordly',
+    VERSION: 2, // v2: history entries with timestamps and counts
+    FILE_PREFIX: 'wordly',
+    MAX_FILE_SIZE: 5 * 1024 * 1024, // 5 MB
+};
+
+/**
+ * Hash routes (e.g. #/word/serendipity, #/favorites, #/history, #/review)
+ */
+const ROUTES = {
+    WORD: 'word',
+    FAVORITES: 'favorites',
+    HISTORY: 'history',
+    REVIEW: 'review',
+    QUIZ: 'quiz',
+    BACKUP: 'backup',
+    STATS: 'stats',
+    SETTINGS: 'settings',
+    GRAPH: 'graph',
 };
 
 // ===== UTILITY FUNCTIONS =====
@@ -78,6 +278,89 @@ class Utils {
     static capitalize(str) {
         return str.charAt(0).toUpperCase() + str.slice(1);
     }
+
+    /**
+     * Shuffle an array (Fisher-Yates) without modifying the original
+     * @param {Array} array - Array to shuffle
+     * @returns {Array} Shuffled copy
+     */
+    static shuffle(array) {
+        const result = [...array];
+        for (let i = result.length - 1; i > 0; i--) {
+            const j = Math.floor(Math.random() * (i + 1));
+            [result[i], result[j]] = [result[j], result[i]];
+        }
+        return result;
+    }
+
+    /**
+     * Escape a string for use in a regular expression
+     * @param {string} str - String to escape
+     * @returns {string} Escaped string
+     */
+    static escapeRegExp(str) {
+        return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    }
+
+    /**
+     * Wait for a while
+     * @param {number} ms - Milliseconds to wait
+     * @param {AbortSignal} [signal] - Ends the wait early with an AbortedError
+     * @returns {Promise<void>}
+     */
+    static delay(ms, signal) {
+        return new Promise((resolve, reject) => {
+            if (signal?.aborted) {
+                reject(new AbortedError());
+                return;
+            }
+
+            const onAbort = () => {
+                clearTimeout(timeoutId);
+                reject(new AbortedError());
+            };
+            const timeoutId = setTimeout(() => {
+                signal?.removeEventListener('abort', onAbort);
+                resolve();
+            }, ms);
+
+            signal?.addEventListener('abort', onAbort, { once: true });
+        });
+    }
+
+    /**
+     * Edit distance between two strings (insertions, deletions,
+     * substitutions and adjacent transpositions each cost 1)
+     * @param {string} a - First string
+     * @param {string} b - Second string
+     * @returns {number} Edit distance
+     */
+    static editDistance(a, b) {
+        const rows = a.length + 1;
+        const cols = b.length + 1;
+        const d = Array.from({ length: rows }, (_, i) => [i, ...new Array(cols - 1).fill(0)]);
+
+        for (let j = 1; j < cols; j++) {
+            d[0][j] = j;
+        }
+
+        for (let i = 1; i < rows; i++) {
+            for (let j = 1; j < cols; j++) {
+                const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+                d[i][j] = Math.min(
+                    d[i - 1][j] + 1,
+                    d[i][j - 1] + 1,
+                    d[i - 1][j - 1] + cost
+                );
+
+                if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                    d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+                }
+            }
+        }
+
+        return d[a.length][b.length];
+    }
 }
 
 /**
@@ -85,7 +368,15 @@ class Utils {
  */
 class StorageManager {
     /**
-     * Save data to localStorage
+     * Called after a save hit the storage quota: ({ key, trimmed, saved })
+     * where `trimmed` lists the keys whose stored data was cut down
+     * @type {Function|null}
+     */
+    static onQuotaExceeded = null;
+
+    /**
+     * Save data to localStorage. When the quota is exceeded, old data is
+     * trimmed (see StorageSchema.TRIM_STEPS) and the save is retried.
      * @param {string} key - Storage key
      * @param {*} value - Value to store
      * @returns {boolean} Success status
@@ -95,21 +386,100 @@ class StorageManager {
             localStorage.setItem(key, JSON.stringify(value));
             return true;
         } catch (error) {
+            if (this.isQuotaError(error)) {
+                return this.saveWithTrimming(key, value);
+            }
             console.error('Error saving to localStorage:', error);
             return false;
         }
     }
 
+    /**
+     * Free space by trimming old data until the value fits
+     * @param {string} key - Storage key
+     * @param {*} value - Value to store
+     * @returns {boolean} Success status
+     */
+    static saveWithTrimming(key, value) {
+        const trimmed = new Set();
+        let saved = false;
+
+        for (const step of StorageSchema.TRIM_STEPS) {
+            // Each step is repeated while it still frees something
+            while (!saved) {
+                const isTarget = step.key === key;
+                const current = isTarget ? value : this.load(step.key);
+                const smaller = current === null ? null : step.trim(current);
+
+                if (smaller === null || JSON.stringify(smaller) === JSON.stringify(current)) break;
+
+                try {
+                    if (isTarget) {
+                        value = smaller;
+                    } else {
+                        localStorage.setItem(step.key, JSON.stringify(smaller));
+                    }
+                    trimmed.add(step.key);
+                } catch (error) {
+                    // Even the smaller copy doesn't fit - try the next step
+                    break;
+                }
+
+                try {
+                    localStorage.setItem(key, JSON.stringify(value));
+                    saved = true;
+                } catch (error) {
+                    if (!this.isQuotaError(error)) break;
+                }
+            }
+
+            if (saved) break;
+        }
+
+        if (saved) {
+            console.warn('Storage quota exceeded - trimmed old data:', [...trimmed]);
+        } else {
+            console.error(`Storage quota exceeded - could not save "${key}"`);
+        }
+
+        this.onQuotaExceeded?.({ key, trimmed: [...trimmed], saved });
+        return saved;
+    }
+
+    /**
+     * Check if an error is a storage quota error
+     * @param {Error} error - Error thrown by localStorage
+     * @returns {boolean} True when the quota was exceeded
+     */
+    static isQuotaError(error) {
+        return error instanceof DOMException && (
+            error.name === 'QuotaExceededError' ||
+            error.name === 'NS_ERROR_DOM_QUOTA_REACHED' ||
+            error.code === 22
+        );
+    }
+
     /**
      * Load data from localStorage
      * @param {string} key - Storage key
      * @param {*} defaultValue - Default value if key doesn't exist
+     * @param {Function} [validate] - Returns the cleaned value, or undefined if the shape is wrong
      * @returns {*} Stored value or default
      */
-    static load(key, defaultValue = null) {
+    static load(key, defaultValue = null, validate = null) {
         try {
             const value = localStorage.getItem(key);
-            return value ? JSON.parse(value) : defaultValue;
+            if (!value) return defaultValue;
+
+            const parsed = JSON.parse(value);
+            if (!validate) return parsed;
+
+            const valid = validate(parsed);
+            if (valid === undefined) {
+                console.warn(`Ignoring invalid data under "${key}"`);
+                return defaultValue;
+            }
+            return valid;
         } catch (error) {
             console.error('Error loading from localStorage:', error);
             return defaultValue;
@@ -147,984 +517,8643 @@ class StorageManager {
     }
 }
 
-// ===== DOM MANAGER =====
+// ===== ERRORS =====
 
 /**
- * DOM element manager - centralized element references
+ * Base class for dictionary lookup failures.
+ * `code` is a stable identifier for logs, `status` the HTTP status (if
+ * any), `cause` the underlying error and `retryable` whether trying
+ * again later could succeed.
  */
-class DOMManager {
-    constructor() {
-        this.elements = this.initializeElements();
-    }
-
+class DictionaryError extends Error {
     /**
-     * Initialize all DOM element references
-     * @returns {Object} Object containing all DOM elements
+     * @param {string} message - Description
+     * @param {Object} [details] - Error details
+     * @param {string} [details.code='DICTIONARY_ERROR'] - Stable error code
+     * @param {number|null} [details.status=null] - HTTP status
+     * @param {Error|null} [details.cause=null] - Underlying error
+     * @param {boolean} [details.retryable=false] - Whether a retry may succeed
      */
-    initializeElements() {
-        return {
-            // Form elements
-            searchForm: document.getElementById('searchForm'),
-            wordInput: document.getElementById('wordInput'),
+    constructor(message, { code = 'DICTIONARY_ERROR', status = null, cause = null, retryable = false } = {}) {
+        super(message, cause ? { cause } : undefined);
+        this.name = this.constructor.name;
+        this.code = code;
+        this.status = status;
+        this.retryable = retryable;
+    }
+}
 
-            // Display states
-            loadingState: document.getElementById('loadingState'),
-            errorContainer: document.getElementById('errorContainer'),
-            errorTitle: document.getElementById('errorTitle'),
-            errorMessage: document.getElementById('errorMessage'),
-            wordDisplay: document.getElementById('wordDisplay'),
+/**
+ * No provider has the word
+ */
+class WordNotFoundError extends DictionaryError {
+    constructor(word, { status = null } = {}) {
+        super(`No entry for "${word}"`, { code: 'WORD_NOT_FOUND', status });
+        this.word = word;
+    }
+}
 
-            // Word header
-            wordTitle: document.getElementById('wordTitle'),
-            favoriteBtn: document.getElementById('favoriteBtn'),
-            phoneticText: document.getElementById('phoneticText'),
-            audioBtn: document.getElementById('audioBtn'),
-            wordAudio: document.getElementById('wordAudio'),
+/**
+ * The lookup was cancelled by the caller (e.g. a newer search started)
+ */
+class AbortedError extends DictionaryError {
+    constructor() {
+        super('Lookup cancelled', { code: 'ABORTED' });
+    }
+}
 
-            // Content sections
-            meaningsContainer: document.getElementById('meaningsContainer'),
-            synonymsContainer: document.getElementById('synonymsContainer'),
-            synonymsList: document.getElementById('synonymsList'),
-            antonymsContainer: document.getElementById('antonymsContainer'),
-            antonymsList: document.getElementById('antonymsList'),
-            sourceLink: document.getElementById('sourceLink'),
+/**
+ * The service didn't answer in time
+ */
+class TimeoutError extends DictionaryError {
+    constructor(timeout) {
+        super(`No response within ${timeout} ms`, { code: 'TIMEOUT', retryable: true });
+    }
+}
 
-            // Quick actions
-            randomWordBtn: document.getElementById('randomWordBtn'),
-            historyBtn: document.getElementById('historyBtn'),
-            favoritesBtn: document.getElementById('favoritesBtn'),
+/**
+ * The request never reached the service (offline, DNS, CORS...)
+ */
+class NetworkError extends DictionaryError {
+    constructor(cause) {
+        super('Could not reach the dictionary service', { code: 'NETWORK_ERROR', cause, retryable: true });
+    }
+}
 
-            // Sidebars
-            historySidebar: document.getElementById('historySidebar'),
-            favoritesSidebar: document.getElementById('favoritesSidebar'),
-            historyList: document.getElementById('historyList'),
-            favoritesList: document.getElementById('favoritesList'),
-            closeHistoryBtn: document.getElementById('closeHistoryBtn'),
-            closeFavoritesBtn: document.getElementById('closeFavoritesBtn'),
-            clearHistoryBtn: document.getElementById('clearHistoryBtn'),
-            clearFavoritesBtn: document.getElementById('clearFavoritesBtn'),
-            sidebarOverlay: document.getElementById('sidebarOverlay'),
+/**
+ * The service answered with an unexpected HTTP status
+ */
+class HttpError extends DictionaryError {
+    /**
+     * Error for a failed response
+     * @param {Response} response - Fetch response (not ok, not 404)
+     * @returns {HttpError} RateLimitError, ServerError or HttpError
+     */
+    static fromResponse(response) {
+        if (response.status === 429) {
+            return new RateLimitError(response.headers.get('Retry-After'));
+        }
+        if (response.status >= 500) {
+            return new ServerError(response.status);
+        }
+        return new HttpError(response.status);
+    }
 
-            // Theme toggle
-            themeToggle: document.getElementById('themeToggle'),
-        };
+    constructor(status, { code = 'HTTP_ERROR', retryable = false } = {}) {
+        super(`Dictionary service responded with HTTP ${status}`, { code, status, retryable });
+    }
+}
+
+/**
+ * Too many requests (HTTP 429)
+ */
+class RateLimitError extends HttpError {
+    /**
+     * @param {string|null} retryAfter - Retry-After header (seconds or an HTTP date)
+     */
+    constructor(retryAfter) {
+        super(429, { code: 'RATE_LIMITED', retryable: true });
+        this.retryAfter = RateLimitError.parseRetryAfter(retryAfter);
     }
 
     /**
-     * Get a DOM element by ID
-     * @param {string} key - Element key
-     * @returns {HTMLElement|null} DOM element
+     * Seconds to wait according to a Retry-After header
+     * @param {string|null} value - Header value
+     * @returns {number|null} Seconds, or null if missing or unreadable
      */
-    get(key) {
-        return this.elements[key] || null;
+    static parseRetryAfter(value) {
+        if (!value) return null;
+
+        const seconds = Number(value);
+        if (Number.isFinite(seconds)) return Math.max(0, seconds);
+
+        const date = Date.parse(value);
+        return Number.isNaN(date) ? null : Math.max(0, Math.ceil((date - Date.now()) / 1000));
     }
 }
 
-// ===== API SERVICE =====
+/**
+ * The service failed (HTTP 5xx)
+ */
+class ServerError extends HttpError {
+    constructor(status) {
+        super(status, { code: 'SERVER_ERROR', retryable: true });
+    }
+}
 
 /**
- * API service for fetching word data
+ * The service answered with data we can't read
  */
-class DictionaryAPI {
-    /**
-     * Fetch word data from the API
-     * @param {string} word - Word to look up
-     * @returns {Promise<Object>} Word data
-     * @throws {Error} API errors
-     */
-    static async fetchWord(word) {
-        const controller = new AbortController();
-        const timeoutId = setTimeout(() => controller.abort(), API_CONFIG.TIMEOUT);
+class MalformedResponseError extends DictionaryError {
+    constructor(message, cause = null) {
+        super(message, { code: 'MALFORMED_RESPONSE', cause });
+    }
+}
 
-        try {
-            const response = await fetch(
-                `${API_CONFIG.BASE_URL}/${encodeURIComponent(word)}`,
-                { signal: controller.signal }
-            );
+// ===== STORAGE SCHEMA =====
 
-            clearTimeout(timeoutId);
+/**
+ * Versioned shape of the data under the wordly_* keys.
+ * Bump VERSION and add a migration whenever a stored shape changes.
+ */
+class StorageSchema {
+    static VERSION = 3;
 
-            if (!response.ok) {
-                if (response.status === 404) {
-                    throw new Error('WORD_NOT_FOUND');
+    /**
+     * Migrations, in order; each upgrades the data from `version - 1` to `version`
+     */
+    static MIGRATIONS = [
+        {
+            // Favorites became records with tags, notes and collections
+            version: 2,
+            migrate() {
+                const favorites = StorageManager.load(STORAGE_KEYS.FAVORITES, []);
+                StorageManager.save(STORAGE_KEYS.FAVORITES, FavoritesModel.normalize(favorites));
+
+                if (!Array.isArray(StorageManager.load(STORAGE_KEYS.COLLECTIONS))) {
+                    StorageManager.save(STORAGE_KEYS.COLLECTIONS, []);
                 }
-                throw new Error('API_ERROR');
-            }
+            },
+        },
+        {
+            // History entries gained timestamps and lookup counts
+            version: 3,
+            migrate() {
+                const history = StorageManager.load(STORAGE_KEYS.SEARCH_HISTORY, []);
+                StorageManager.save(STORAGE_KEYS.SEARCH_HISTORY, HistoryModel.normalize(history));
+            },
+        },
+    ];
 
-            const data = await response.json();
-            return data[0]; // Return first result
+    /**
+     * Validators for loaded data: return the cleaned value (dropping bad
+     * items), or undefined when the overall shape is wrong
+     */
+    static validators = {
+        [STORAGE_KEYS.SEARCH_HISTORY]: (value) => (Array.isArray(value)
+            ? value.filter(entry =>
+                typeof entry?.word === 'string' && entry.word.trim() &&
+                Number.isInteger(entry.count) && entry.count > 0 &&
+                (entry.lastSearched === null || Number.isFinite(entry.lastSearched)))
+            : undefined),
+
+        [STORAGE_KEYS.FAVORITES]: (value) => (Array.isArray(value)
+            ? value.filter(record =>
+                typeof record?.word === 'string' && record.word &&
+                Number.isFinite(record.addedAt) &&
+                Array.isArray(record.tags) &&
+                typeof record.note === 'string' &&
+                Array.isArray(record.collections))
+            : undefined),
+
+        [STORAGE_KEYS.COLLECTIONS]: (value) => (Array.isArray(value)
+            ? value.filter(collection =>
+                typeof collection?.id === 'string' && typeof collection.name === 'string')
+            : undefined),
+
+        [STORAGE_KEYS.THEME]: (value) => (typeof value === 'boolean' ? value : undefined),
+
+        [STORAGE_KEYS.SETTINGS]: (value) => {
+            if (!value || typeof value !== 'object' || Array.isArray(value)) return undefined;
+
+            // Random may draw from any collection that still exists
+            const collections = StorageManager.load(STORAGE_KEYS.COLLECTIONS, []);
+            const choices = {
+                startupWord: Object.values(SETTINGS_CONFIG.STARTUP),
+                randomSource: [
+                    ...Object.values(SETTINGS_CONFIG.RANDOM_SOURCES),
+                    ...(Array.isArray(collections) ? collections.map(c => c?.id) : []),
+                ],
+                // Other rates make audio.playbackRate throw
+                playbackRate: PRONUNCIATION_CONFIG.PLAYBACK_RATES,
+            };
+            const ranges = {
+                speechRate: [SPEECH_CONFIG.MIN_RATE, SPEECH_CONFIG.MAX_RATE],
+            };
 
-        } catch (error) {
-            clearTimeout(timeoutId);
+            // Unknown, mistyped or out-of-range fields fall back to their defaults
+            const defaults = SETTINGS_CONFIG.DEFAULTS;
+            const isValid = (field) => {
+                const expected = defaults[field];
+                if (typeof value[field] !== typeof expected) return false;
+                if (choices[field]) return choices[field].includes(value[field]);
+                if (ranges[field]) {
+                    const [min, max] = ranges[field];
+                    return value[field] >= min && value[field] <= max;
+                }
+                if (typeof expected === 'number') return Number.isFinite(value[field]);
+                if (typeof expected === 'string') return expected === '' || value[field].trim() !== '';
+                return true;
+            };
 
-            if (error.name === 'AbortError') {
-                throw new Error('TIMEOUT');
-            }
+            return Object.fromEntries(Object.keys(defaults).map(field => [
+                field,
+                isValid(field) ? value[field] : defaults[field]
+            ]));
+        },
+
+        [STORAGE_KEYS.ACTIVITY]: (value) => {
+            if (!value || typeof value !== 'object' || Array.isArray(value)) return undefined;
+
+            return Object.fromEntries(Object.entries(value).filter(([day, counts]) =>
+                /^\d{4}-\d{2}-\d{2}$/.test(day) &&
+                ['lookups', 'reviews', 'correct'].every(field => Number.isInteger(counts?.[field]))
+            ));
+        },
+
+        [STORAGE_KEYS.REVIEWS]: (value) => {
+            if (!value || typeof value !== 'object' || Array.isArray(value)) return undefined;
+
+            // Cards need their schedule; missing or broken counters restart at zero
+            const count = (n) => (Number.isInteger(n) && n >= 0 ? n : 0);
+
+            return Object.fromEntries(Object.entries(value)
+                .filter(([, card]) =>
+                    Number.isFinite(card?.ease) &&
+                    Number.isFinite(card.interval) &&
+                    Number.isFinite(card.due))
+                .map(([word, card]) => [word, {
+                    ...card,
+                    repetitions: count(card.repetitions),
+                    lastReviewed: Number.isFinite(card.lastReviewed) ? card.lastReviewed : null,
+                    reviewCount: count(card.reviewCount),
+                    correctCount: Math.min(count(card.correctCount), count(card.reviewCount)),
+                }]));
+        },
+    };
 
-            if (error.message === 'WORD_NOT_FOUND') {
-                throw error;
-            }
+    /**
+     * Ways to free space when the quota is exceeded, least valuable first.
+     * Each returns a smaller value (returning it unchanged ends the step).
+     */
+    static TRIM_STEPS = [
+        {
+            // Drop the oldest half of the daily activity counters
+            key: STORAGE_KEYS.ACTIVITY,
+            trim: (activity) => {
+                const days = Object.keys(activity || {}).sort();
+                return Object.fromEntries(
+                    days.slice(Math.ceil(days.length / 2)).map(day => [day, activity[day]])
+                );
+            },
+        },
+        {
+            // Drop the oldest half of the search history
+            key: STORAGE_KEYS.SEARCH_HISTORY,
+            trim: (history) => (Array.isArray(history)
+                ? history.slice(0, Math.floor(history.length / 2))
+                : []),
+        },
+        {
+            // Drop review cards for words that are no longer favorites
+            key: STORAGE_KEYS.REVIEWS,
+            trim: (reviews) => {
+                const favorites = StorageManager.load(STORAGE_KEYS.FAVORITES, []);
+                const words = new Set(favorites.map(record => record.word));
+                return Object.fromEntries(
+                    Object.entries(reviews || {}).filter(([word]) => words.has(word))
+                );
+            },
+        },
+    ];
 
-            throw new Error('NETWORK_ERROR');
-        }
+    /**
+     * Version of the stored data (1 for data saved before versioning)
+     * @returns {number} Stored schema version
+     */
+    static storedVersion() {
+        const version = StorageManager.load(STORAGE_KEYS.SCHEMA_VERSION);
+        return Number.isInteger(version) ? version : 1;
     }
 
     /**
-     * Extract audio URL from phonetics
-     * @param {Array} phonetics - Phonetics array
-     * @returns {string|null} Audio URL or null
+     * Run pending migrations, recording the version after each step
+     * @returns {Object} { from, to }
      */
-    static extractAudioUrl(phonetics) {
-        if (!phonetics || !Array.isArray(phonetics)) {
-            return null;
+    static migrate() {
+        const from = this.storedVersion();
+
+        if (from > this.VERSION) {
+            // Saved by a newer Wordly - leave it alone rather than corrupt it
+            console.warn(`Stored data is schema v${from}; this version of Wordly understands v${this.VERSION}`);
+            return { from, to: from };
         }
 
-        const phoneticWithAudio = phonetics.find(
-            p => p.audio && p.audio.trim().length > 0
-        );
+        let version = from;
+        for (const migration of this.MIGRATIONS) {
+            if (migration.version <= version) continue;
 
-        return phoneticWithAudio ? phoneticWithAudio.audio : null;
+            try {
+                migration.migrate();
+            } catch (error) {
+                console.error(`Storage migration to v${migration.version} failed:`, error);
+                break;
+            }
+
+            version = migration.version;
+            StorageManager.save(STORAGE_KEYS.SCHEMA_VERSION, version);
+        }
+
+        if (version === from && from < this.VERSION) {
+            console.warn(`Storage is still at schema v${version}`);
+        }
+
+        return { from, to: version };
     }
 
     /**
-     * Collect all unique synonyms from meanings
-     * @param {Array} meanings - Meanings array
-     * @returns {Array<string>} Unique synonyms
+     * Load a key with its validator
+     * @param {string} key - Storage key
+     * @param {*} defaultValue - Value when missing or invalid
+     * @returns {*} Validated value or default
      */
-    static collectSynonyms(meanings) {
-        const synonymsSet = new Set();
-
-        meanings.forEach(meaning => {
-            // Meaning-level synonyms
-            if (meaning.synonyms?.length) {
-                meaning.synonyms.forEach(syn => synonymsSet.add(syn));
-            }
+    static load(key, defaultValue) {
+        return StorageManager.load(key, defaultValue, this.validators[key]);
+    }
+}
 
-            // Definition-level synonyms
-            meaning.definitions.forEach(def => {
-                if (def.synonyms?.length) {
-                    def.synonyms.forEach(syn => synonymsSet.add(syn));
-                }
-            });
-        });
+// ===== CROSS-TAB SYNC =====
 
-        return Array.from(synonymsSet);
+/**
+ * Notifies the app when another tab changes a wordly_* key.
+ * `storage` events only fire in the *other* tabs, so a tab never
+ * reacts to its own writes.
+ */
+class StorageSync {
+    constructor() {
+        this.handlers = {};
     }
 
     /**
-     * Collect all unique antonyms from meanings
-     * @param {Array} meanings - Meanings array
-     * @returns {Array<string>} Unique antonyms
+     * Start listening for changes made in other tabs
+     * @param {Object} handlers - Map of storage key to callback
      */
-    static collectAntonyms(meanings) {
-        const antonymsSet = new Set();
+    start(handlers) {
+        this.handlers = handlers;
 
-        meanings.forEach(meaning => {
-            // Meaning-level antonyms
-            if (meaning.antonyms?.length) {
-                meaning.antonyms.forEach(ant => antonymsSet.add(ant));
-            }
+        window.addEventListener('storage', (event) => {
+            if (event.storageArea !== localStorage) return;
 
-            // Definition-level antonyms
-            meaning.definitions.forEach(def => {
-                if (def.antonyms?.length) {
-                    def.antonyms.forEach(ant => antonymsSet.add(ant));
-                }
-            });
-        });
+            // A null key means another tab cleared all of localStorage
+            const keys = event.key === null
+                ? Object.keys(this.handlers)
+                : [event.key];
 
-        return Array.from(antonymsSet);
+            keys.forEach(key => this.handlers[key]?.());
+        });
     }
 }
 
-// ===== UI MANAGER =====
+// ===== ENTRY CACHE =====
 
 /**
- * UI manager for rendering and updating the interface
+ * IndexedDB-backed cache for dictionary entries.
+ * Entries older than CACHE_CONFIG.TTL are considered stale and are
+ * refreshed in the background; the least recently used entries are
+ * evicted once the cache grows past CACHE_CONFIG.MAX_ENTRIES.
  */
-class UIManager {
-    constructor(domManager) {
-        this.dom = domManager;
-    }
+class EntryCache {
+    static dbPromise = null;
 
     /**
-     * Show loading state
+     * Check if IndexedDB is available
+     * @returns {boolean} Availability status
      */
-    showLoading() {
-        this.dom.get('loadingState').classList.remove('hidden');
-        this.dom.get('errorContainer').classList.add('hidden');
-        this.dom.get('wordDisplay').classList.add('hidden');
+    static isAvailable() {
+        return typeof indexedDB !== 'undefined';
     }
 
     /**
-     * Hide loading state
+     * Open (or reuse) the cache database
+     * @returns {Promise<IDBDatabase>} Database connection
      */
-    hideLoading() {
-        this.dom.get('loadingState').classList.add('hidden');
+    static open() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(CACHE_CONFIG.DB_NAME, CACHE_CONFIG.DB_VERSION);
+
+                request.onupgradeneeded = (event) => {
+                    const db = request.result;
+
+                    // v1 records only held the first entry - drop them
+                    if (event.oldVersion < 2 &&
+                        db.objectStoreNames.contains(CACHE_CONFIG.STORE_NAME)) {
+                        request.transaction.objectStore(CACHE_CONFIG.STORE_NAME).clear();
+                    }
+
+                    if (!db.objectStoreNames.contains(CACHE_CONFIG.STORE_NAME)) {
+                        const store = db.createObjectStore(CACHE_CONFIG.STORE_NAME, {
+                            keyPath: 'word'
+                        });
+                        store.createIndex('lastAccessed', 'lastAccessed');
+                    }
+                };
+
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+
+            // Allow a later retry if opening failed
+            this.dbPromise.catch(() => {
+                this.dbPromise = null;
+            });
+        }
+
+        return this.dbPromise;
     }
 
     /**
-     * Show error message
-     * @param {string} title - Error title
-     * @param {string} message - Error message
+     * Wrap an IDBRequest in a promise
+     * @param {IDBRequest} request - IndexedDB request
+     * @returns {Promise<*>} Request result
      */
-    showError(title, message) {
-        this.dom.get('errorTitle').textContent = title;
-        this.dom.get('errorMessage').textContent = message;
-        this.dom.get('errorContainer').classList.remove('hidden');
-        this.dom.get('wordDisplay').classList.add('hidden');
-        this.hideLoading();
+    static promisify(request) {
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
     }
 
     /**
-     * Hide error message
+     * Get the object store in a new transaction
+     * @param {string} mode - 'readonly' or 'readwrite'
+     * @returns {Promise<IDBObjectStore>} Object store
      */
-    hideError() {
-        this.dom.get('errorContainer').classList.add('hidden');
+    static async store(mode = 'readonly') {
+        const db = await this.open();
+        return db
+            .transaction(CACHE_CONFIG.STORE_NAME, mode)
+            .objectStore(CACHE_CONFIG.STORE_NAME);
     }
 
     /**
-     * Render word data to the UI
-     * @param {Object} wordData - Word data from API
-     * @param {boolean} isFavorite - Whether word is favorited
+     * Normalize a word into its cache key, so "Paris" and "paris" share a record
+     * @param {string} word - Word
+     * @returns {string} Lowercase key
      */
-    renderWord(wordData, isFavorite) {
-        // Update word title
-        this.dom.get('wordTitle').textContent = Utils.capitalize(wordData.word);
-
-        // Update favorite button
-        this.updateFavoriteButton(isFavorite);
+    static key(word) {
+        return word.trim().toLowerCase();
+    }
 
-        // Update phonetic information
-        this.renderPhonetics(wordData);
+    /**
+     * Get a cached entry and mark it as recently used
+     * @param {string} word - Lookup key (any casing)
+     * @returns {Promise<Object|null>} Cache record with normalized data, or null
+     *   if missing or unusable
+     */
+    static async get(word) {
+        if (!this.isAvailable()) return null;
 
-        // Setup audio
-        this.setupAudio(wordData.phonetics || []);
+        try {
+            const store = await this.store('readwrite');
+            const record = await this.promisify(store.get(this.key(word)));
 
-        // Render meanings
-        this.renderMeanings(wordData.meanings);
+            if (!record) return null;
 
-        // Render related words
-        const synonyms = DictionaryAPI.collectSynonyms(wordData.meanings);
-        const antonyms = DictionaryAPI.collectAntonyms(wordData.meanings);
-        this.renderRelatedWords(synonyms, antonyms);
+            record.lastAccessed = Date.now();
+            store.put(record);
 
-        // Update source link
-        if (wordData.sourceUrls?.length) {
-            this.dom.get('sourceLink').href = wordData.sourceUrls[0];
+            // Records from older versions may predate the entry model
+            const data = EntryNormalizer.normalizeWordData(record.data);
+            return data ? { ...record, data } : null;
+        } catch (error) {
+            console.error('Error reading from entry cache:', error);
+            return null;
         }
+    }
 
-        // Show word display
-        this.dom.get('wordDisplay').classList.remove('hidden');
-        this.hideLoading();
-        this.hideError();
+    /**
+     * Store an entry in the cache
+     * @param {string} word - Lookup key (any casing)
+     * @param {Object} data - Entry data
+     * @returns {Promise<boolean>} Success status
+     */
+    static async set(word, data) {
+        if (!this.isAvailable()) return false;
 
-        // Scroll to word display on mobile
-        if (window.innerWidth < 768) {
-            this.dom.get('wordDisplay').scrollIntoView({ 
-                behavior: 'smooth', 
-                block: 'start' 
-            });
+        try {
+            const now = Date.now();
+            const store = await this.store('readwrite');
+            await this.promisify(store.put({
+                word: this.key(word),
+                data,
+                fetchedAt: now,
+                lastAccessed: now,
+            }));
+            await this.prune();
+            return true;
+        } catch (error) {
+            console.error('Error writing to entry cache:', error);
+            return false;
         }
     }
 
     /**
-     * Render phonetic information
-     * @param {Object} wordData - Word data
+     * Evict least recently used entries beyond the size limit
+     * @returns {Promise<number>} Number of evicted entries
      */
-    renderPhonetics(wordData) {
-        const phoneticEl = this.dom.get('phoneticText');
-        
-        if (wordData.phonetic) {
-            phoneticEl.textContent = wordData.phonetic;
-        } else if (wordData.phonetics?.length && wordData.phonetics[0].text) {
-            phoneticEl.textContent = wordData.phonetics[0].text;
-        } else {
-            phoneticEl.textContent = '';
-        }
+    static async prune() {
+        const store = await this.store('readwrite');
+        const count = await this.promisify(store.count());
+        let excess = count - CACHE_CONFIG.MAX_ENTRIES;
+
+        if (excess <= 0) return 0;
+
+        const evicted = excess;
+        return new Promise((resolve, reject) => {
+            const cursorRequest = store.index('lastAccessed').openCursor();
+
+            cursorRequest.onsuccess = () => {
+                const cursor = cursorRequest.result;
+                if (!cursor || excess <= 0) {
+                    resolve(evicted);
+                    return;
+                }
+                cursor.delete();
+                excess--;
+                cursor.continue();
+            };
+            cursorRequest.onerror = () => reject(cursorRequest.error);
+        });
     }
 
     /**
-     * Setup audio pronunciation
-     * @param {Array} phonetics - Phonetics array
+     * Get every cached entry
+     * @returns {Promise<Array<Object>>} Cached word data (normalized; unusable records skipped)
      */
-    setupAudio(phonetics) {
-        const audioUrl = DictionaryAPI.extractAudioUrl(phonetics);
-        const audioBtn = this.dom.get('audioBtn');
-        const audioElement = this.dom.get('wordAudio');
+    static async getAll() {
+        if (!this.isAvailable()) return [];
 
-        if (audioUrl) {
-            audioElement.src = audioUrl;
-            audioBtn.classList.remove('hidden');
-        } else {
-            audioBtn.classList.add('hidden');
+        try {
+            const store = await this.store();
+            const records = await this.promisify(store.getAll());
+            return records
+                .map(record => EntryNormalizer.normalizeWordData(record.data))
+                .filter(Boolean);
+        } catch (error) {
+            console.error('Error reading entry cache:', error);
+            return [];
         }
     }
 
     /**
-     * Render word meanings (parts of speech and definitions)
-     * @param {Array} meanings - Meanings array
+     * List the words that have cached entries
+     * @returns {Promise<Array<string>>} Cached words
      */
-    renderMeanings(meanings) {
-        const container = this.dom.get('meaningsContainer');
-        container.innerHTML = '';
+    static async keys() {
+        if (!this.isAvailable()) return [];
 
-        meanings.forEach(meaning => {
-            const meaningSection = this.createMeaningSection(meaning);
-            container.appendChild(meaningSection);
-        });
+        try {
+            const store = await this.store();
+            return await this.promisify(store.getAllKeys());
+        } catch (error) {
+            console.error('Error listing entry cache:', error);
+            return [];
+        }
     }
 
     /**
-     * Create a meaning section element
-     * @param {Object} meaning - Meaning object
-     * @returns {HTMLElement} Meaning section element
+     * Remove every cached entry
+     * @returns {Promise<boolean>} Success status
      */
-    createMeaningSection(meaning) {
-        const section = document.createElement('div');
-        section.className = 'meaning-section';
-
-        // Part of speech badge
-        const badge = document.createElement('span');
-        badge.className = 'part-of-speech';
-        badge.textContent = meaning.partOfSpeech;
-        section.appendChild(badge);
-
-        // Definitions list
-        const list = document.createElement('ol');
-        list.className = 'definitions-list';
-
-        meaning.definitions.forEach(def => {
-            const item = this.createDefinitionItem(def);
-            list.appendChild(item);
-        });
+    static async clear() {
+        if (!this.isAvailable()) return false;
 
-        section.appendChild(list);
-        return section;
+        try {
+            const store = await this.store('readwrite');
+            await this.promisify(store.clear());
+            return true;
+        } catch (error) {
+            console.error('Error clearing entry cache:', error);
+            return false;
+        }
     }
 
     /**
-     * Create a definition item element
-     * @param {Object} definition - Definition object
-     * @returns {HTMLElement} Definition item element
+     * Check if a cache record is older than the TTL
+     * @param {Object} record - Cache record
+     * @returns {boolean} True if the record should be refreshed
      */
-    createDefinitionItem(definition) {
-        const item = document.createElement('li');
-        item.className = 'definition-item';
+    static isStale(record) {
+        return Date.now() - record.fetchedAt > CACHE_CONFIG.TTL;
+    }
+}
 
-        // Definition text
-        const defText = document.createElement('div');
-        defText.className = 'definition-text';
-        defText.textContent = definition.definition;
-        item.appendChild(defText);
+// ===== FAVORITES MODEL =====
 
-        // Example (if available)
-        if (definition.example) {
-            const example = document.createElement('div');
-            example.className = 'example-text';
-            example.textContent = definition.example;
-            item.appendChild(example);
-        }
+/**
+ * Helpers for saved words and named collections.
+ * Favorite: { word, addedAt, tags: [string], note, collections: [collectionId] }
+ * Collection: { id, name, createdAt }
+ */
+class FavoritesModel {
+    static ALL = 'all';
 
-        return item;
+    /**
+     * Create a favorite record
+     * @param {string} word - Saved word
+     * @param {Array<string>} [collections=[]] - Collection IDs
+     * @returns {Object} Favorite record
+     */
+    static createRecord(word, collections = []) {
+        return {
+            word,
+            addedAt: Date.now(),
+            tags: [],
+            note: '',
+            collections,
+        };
     }
 
     /**
-     * Render related words (synonyms and antonyms)
-     * @param {Array<string>} synonyms - Synonyms array
-     * @param {Array<string>} antonyms - Antonyms array
+     * Normalize stored favorites; bare word strings (the original
+     * format) become records
+     * @param {*} data - Stored favorites
+     * @returns {Array<Object>} Favorite records
      */
-    renderRelatedWords(synonyms, antonyms) {
-        const synonymsContainer = this.dom.get('synonymsContainer');
-        const antonymsContainer = this.dom.get('antonymsContainer');
-
-        // Render synonyms
-        if (synonyms.length > 0) {
-            this.renderWordTags(this.dom.get('synonymsList'), synonyms);
-            synonymsContainer.classList.remove('hidden');
-        } else {
-            synonymsContainer.classList.add('hidden');
-        }
-
-        // Render antonyms
-        if (antonyms.length > 0) {
-            this.renderWordTags(this.dom.get('antonymsList'), antonyms);
-            antonymsContainer.classList.remove('hidden');
-        } else {
-            antonymsContainer.classList.add('hidden');
-        }
+    static normalize(data) {
+        if (!Array.isArray(data)) return [];
+
+        return data
+            .map(item => (typeof item === 'string'
+                ? this.createRecord(item)
+                : { ...this.createRecord(item?.word), ...item }))
+            .filter(record => typeof record.word === 'string' && record.word);
     }
 
     /**
-     * Render word tags (clickable related words)
-     * @param {HTMLElement} container - Container element
-     * @param {Array<string>} words - Words array
+     * Create a named collection
+     * @param {string} name - Collection name
+     * @returns {Object} Collection
      */
-    renderWordTags(container, words) {
-        container.innerHTML = '';
-
-        words.forEach(word => {
-            const tag = document.createElement('span');
-            tag.className = 'word-tag';
-            tag.textContent = word;
-            tag.setAttribute('role', 'button');
-            tag.setAttribute('tabindex', '0');
-            tag.addEventListener('click', () => this.onWordTagClick(word));
-            tag.addEventListener('keypress', (e) => {
-                if (e.key === 'Enter' || e.key === ' ') {
-                    e.preventDefault();
-                    this.onWordTagClick(word);
-                }
-            });
-            container.appendChild(tag);
-        });
+    static createCollection(name) {
+        return {
+            id: `c-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`,
+            name: name.trim(),
+            createdAt: Date.now(),
+        };
     }
 
     /**
-     * Handle word tag click - to be overridden by app
-     * @param {string} word - Word that was clicked
+     * Saved words in order
+     * @param {Array<Object>} favorites - Favorite records
+     * @returns {Array<string>} Words
      */
-    onWordTagClick(word) {
-        // This will be overridden by the WordlyApp
-        console.log('Word tag clicked:', word);
+    static words(favorites) {
+        return favorites.map(record => record.word);
     }
 
     /**
-     * Update favorite button state
-     * @param {boolean} isFavorite - Whether word is favorited
+     * Find the record for a word. Records keep the headword's casing
+     * ("Paris"), so the comparison ignores case.
+     * @param {Array<Object>} favorites - Favorite records
+     * @param {string} word - Word
+     * @returns {Object|undefined} Record
      */
-    updateFavoriteButton(isFavorite) {
-        const btn = this.dom.get('favoriteBtn');
-        const icon = btn.querySelector('.star-icon');
-
-        if (isFavorite) {
-            btn.classList.add('active');
-            icon.textContent = '★';
-            btn.setAttribute('aria-label', 'Remove from favorites');
-        } else {
-            btn.classList.remove('active');
-            icon.textContent = '☆';
-            btn.setAttribute('aria-label', 'Add to favorites');
-        }
+    static find(favorites, word) {
+        const key = word.toLowerCase();
+        return favorites.find(record => record.word.toLowerCase() === key);
     }
 
     /**
-     * Render sidebar list
-     * @param {HTMLElement} listElement - List element
-     * @param {Array<string>} items - Items to render
-     * @param {string} emptyMessage - Message when list is empty
+     * Parse comma-separated tags
+     * @param {string} text - e.g. "verbs, Unit 4"
+     * @returns {Array<string>} Unique lowercase tags
      */
-    renderSidebarList(listElement, items, emptyMessage) {
-        listElement.innerHTML = '';
+    static parseTags(text) {
+        return [...new Set(
+            text.split(',')
+                .map(tag => tag.trim().toLowerCase().replace(/^#/, ''))
+                .filter(Boolean)
+        )];
+    }
 
-        if (items.length === 0) {
-            const emptyItem = document.createElement('li');
-            emptyItem.className = 'sidebar-list-empty';
-            emptyItem.textContent = emptyMessage;
-            listElement.appendChild(emptyItem);
-            return;
-        }
+    /**
+     * Filter favorites by collection and tag
+     * @param {Array<Object>} favorites - Favorite records
+     * @param {Object} filter - { collectionId, tag }
+     * @returns {Array<Object>} Matching records
+     */
+    static filter(favorites, { collectionId = this.ALL, tag = null } = {}) {
+        return favorites.filter(record =>
+            (collectionId === this.ALL || record.collections.includes(collectionId)) &&
+            (!tag || record.tags.includes(tag))
+        );
+    }
 
-        items.forEach(item => {
-            const li = document.createElement('li');
-            li.className = 'sidebar-list-item';
-            li.textContent = Utils.capitalize(item);
-            li.setAttribute('role', 'button');
-            li.setAttribute('tabindex', '0');
-            listElement.appendChild(li);
-        });
+    /**
+     * Count the words in a collection
+     * @param {Array<Object>} favorites - Favorite records
+     * @param {string} collectionId - Collection ID
+     * @returns {number} Word count
+     */
+    static countIn(favorites, collectionId) {
+        return favorites.filter(record => record.collections.includes(collectionId)).length;
     }
 }
 
-// ===== THEME MANAGER =====
+// ===== HISTORY MODEL =====
 
 /**
- * Theme manager for dark/light mode
+ * Helpers for search history, kept most recent first.
+ * Entry: { word, count, firstSearched, lastSearched }
+ * (timestamps are null for lookups made before they were recorded)
  */
-class ThemeManager {
-    constructor(domManager) {
-        this.dom = domManager;
-        this.isDark = false;
-    }
+class HistoryModel {
+    static SORT = {
+        RECENT: 'recent',
+        FREQUENT: 'frequent',
+    };
 
     /**
-     * Initialize theme from storage
+     * Create a history entry
+     * @param {string} word - Word looked up
+     * @param {number|null} [time=Date.now()] - Lookup time
+     * @returns {Object} History entry
      */
-    initialize() {
-        this.isDark = StorageManager.load(STORAGE_KEYS.THEME, false);
-        this.apply();
+    static createEntry(word, time = Date.now()) {
+        return {
+            word,
+            count: 1,
+            firstSearched: time,
+            lastSearched: time,
+        };
     }
 
     /**
-     * Toggle theme
+     * Normalize stored history; bare word strings (the original format)
+     * become entries without timestamps
+     * @param {*} data - Stored history
+     * @returns {Array<Object>} History entries
      */
-    toggle() {
-        this.isDark = !this.isDark;
-        this.apply();
-        StorageManager.save(STORAGE_KEYS.THEME, this.isDark);
+    static normalize(data) {
+        if (!Array.isArray(data)) return [];
+
+        return data
+            .map(item => (typeof item === 'string'
+                ? this.createEntry(item, null)
+                : { ...this.createEntry(item?.word, null), ...item }))
+            .filter(entry => typeof entry.word === 'string' && entry.word);
     }
 
     /**
-     * Apply current theme
+     * Record a lookup, moving the word to the front. Words are stored
+     * lowercase; entries saved in another casing ("Paris") merge into it.
+     * @param {Array<Object>} history - History entries
+     * @param {string} word - Word looked up
+     * @param {number} [time=Date.now()] - Lookup time
+     * @returns {Array<Object>} Updated history (capped at MAX_HISTORY_ITEMS)
      */
-    apply() {
-        const icon = this.dom.get('themeToggle').querySelector('.theme-icon');
+    static record(history, word, time = Date.now()) {
+        const key = word.toLowerCase();
+        const isSame = (entry) => entry.word.toLowerCase() === key;
+        const existing = history.filter(isSame);
+
+        const entry = this.createEntry(key, time);
+        existing.forEach(e => {
+            entry.count += e.count;
+            if (e.firstSearched !== null) {
+                entry.firstSearched = Math.min(entry.firstSearched, e.firstSearched);
+            }
+        });
 
-        if (this.isDark) {
-            document.documentElement.setAttribute('data-theme', 'dark');
-            icon.textContent = '☀️';
-        } else {
-            document.documentElement.removeAttribute('data-theme');
-            icon.textContent = '🌙';
+        return [entry, ...history.filter(e => !isSame(e))]
+            .slice(0, APP_CONSTANTS.MAX_HISTORY_ITEMS);
+    }
+
+    /**
+     * Words in history order
+     * @param {Array<Object>} history - History entries
+     * @returns {Array<string>} Words
+     */
+    static words(history) {
+        return history.map(entry => entry.word);
+    }
+
+    /**
+     * Filter and sort entries for display
+     * @param {Array<Object>} history - History entries
+     * @param {Object} options - { query, sort }
+     * @returns {Array<Object>} Entries to show
+     */
+    static view(history, { query = '', sort = this.SORT.RECENT } = {}) {
+        const needle = query.trim().toLowerCase();
+        const matches = needle
+            ? history.filter(entry => entry.word.toLowerCase().includes(needle))
+            : [...history];
+
+        if (sort === this.SORT.FREQUENT) {
+            // Stable sort keeps recency order between equal counts
+            matches.sort((a, b) => b.count - a.count);
         }
+
+        return matches;
+    }
+
+    /**
+     * Day label for grouping ("Today", "Yesterday", or a date)
+     * @param {number|null} time - Lookup time
+     * @param {number} [now=Date.now()] - Current time
+     * @returns {string} Label
+     */
+    static dayLabel(time, now = Date.now()) {
+        if (time === null) return 'Earlier';
+
+        const startOfDay = (t) => new Date(t).setHours(0, 0, 0, 0);
+        const days = Math.round((startOfDay(now) - startOfDay(time)) / SpacedRepetition.DAY);
+
+        if (days === 0) return 'Today';
+        if (days === 1) return 'Yesterday';
+
+        return new Date(time).toLocaleDateString(undefined, {
+            weekday: 'long',
+            month: 'short',
+            day: 'numeric',
+        });
     }
 }
 
-// ===== SIDEBAR MANAGER =====
+// ===== DOM MANAGER =====
 
 /**
- * Sidebar manager for history and favorites
+ * DOM element manager - centralized element references
  */
-class SidebarManager {
-    constructor(domManager) {
-        this.dom = domManager;
-        this.activeSidebar = null;
+class DOMManager {
+    constructor() {
+        this.elements = this.initializeElements();
     }
 
     /**
-     * Show history sidebar
+     * Initialize all DOM element references
+     * @returns {Object} Object containing all DOM elements
      */
-    showHistory() {
-        this.show(this.dom.get('historySidebar'));
+    initializeElements() {
+        return {
+            // Status banners
+            offlineBanner: document.getElementById('offlineBanner'),
+            updateBanner: document.getElementById('updateBanner'),
+            updateReloadBtn: document.getElementById('updateReloadBtn'),
+            updateDismissBtn: document.getElementById('updateDismissBtn'),
+            storageBanner: document.getElementById('storageBanner'),
+            storageBackupBtn: document.getElementById('storageBackupBtn'),
+            storageDismissBtn: document.getElementById('storageDismissBtn'),
+
+            // Form elements
+            searchForm: document.getElementById('searchForm'),
+            wordInput: document.getElementById('wordInput'),
+            suggestionsList: document.getElementById('suggestionsList'),
+
+            // Display states
+            loadingState: document.getElementById('loadingState'),
+            errorContainer: document.getElementById('errorContainer'),
+            errorTitle: document.getElementById('errorTitle'),
+            errorMessage: document.getElementById('errorMessage'),
+            errorSuggestions: document.getElementById('errorSuggestions'),
+            errorSuggestionsList: document.getElementById('errorSuggestionsList'),
+            errorActions: document.getElementById('errorActions'),
+            errorRetryBtn: document.getElementById('errorRetryBtn'),
+            errorCachedBtn: document.getElementById('errorCachedBtn'),
+            errorBaseFormBtn: document.getElementById('errorBaseFormBtn'),
+            savedCopyNotice: document.getElementById('savedCopyNotice'),
+            wordDisplay: document.getElementById('wordDisplay'),
+
+            // Word header
+            wordTitle: document.getElementById('wordTitle'),
+            wordTrail: document.getElementById('wordTrail'),
+            wordTrailList: document.getElementById('wordTrailList'),
+            favoriteBtn: document.getElementById('favoriteBtn'),
+            collectionPickerBtn: document.getElementById('collectionPickerBtn'),
+            favoritePicker: document.getElementById('favoritePicker'),
+            pickerCollections: document.getElementById('pickerCollections'),
+            pickerNewCollectionForm: document.getElementById('pickerNewCollectionForm'),
+            pickerNewCollectionInput: document.getElementById('pickerNewCollectionInput'),
+            pickerTagsInput: document.getElementById('pickerTagsInput'),
+            pickerNoteInput: document.getElementById('pickerNoteInput'),
+            pickerAddedAt: document.getElementById('pickerAddedAt'),
+            pickerRemoveBtn: document.getElementById('pickerRemoveBtn'),
+            pickerDoneBtn: document.getElementById('pickerDoneBtn'),
+            phoneticsContainer: document.getElementById('phoneticsContainer'),
+            wordAudio: document.getElementById('wordAudio'),
+            playbackControls: document.getElementById('playbackControls'),
+            loopBtn: document.getElementById('loopBtn'),
+
+            // Content sections
+            entryNav: document.getElementById('entryNav'),
+            meaningsContainer: document.getElementById('meaningsContainer'),
+            relatedWordsSummary: document.getElementById('relatedWordsSummary'),
+            relatedWordsCount: document.getElementById('relatedWordsCount'),
+            synonymsContainer: document.getElementById('synonymsContainer'),
+            synonymsList: document.getElementById('synonymsList'),
+            antonymsContainer: document.getElementById('antonymsContainer'),
+            antonymsList: document.getElementById('antonymsList'),
+            wordOrigin: document.getElementById('wordOrigin'),
+            wordOriginText: document.getElementById('wordOriginText'),
+            wordFooter: document.getElementById('wordFooter'),
+            sourceLabel: document.getElementById('sourceLabel'),
+            sourceLinks: document.getElementById('sourceLinks'),
+            entryLicense: document.getElementById('entryLicense'),
+
+            // Quick actions
+            randomWordBtn: document.getElementById('randomWordBtn'),
+            historyBtn: document.getElementById('historyBtn'),
+            favoritesBtn: document.getElementById('favoritesBtn'),
+            reviewBtn: document.getElementById('reviewBtn'),
+            reviewDueCount: document.getElementById('reviewDueCount'),
+
+            quizBtn: document.getElementById('quizBtn'),
+
+            // Quiz
+            quizView: document.getElementById('quizView'),
+            quizProgress: document.getElementById('quizProgress'),
+            quizBody: document.getElementById('quizBody'),
+            closeQuizBtn: document.getElementById('closeQuizBtn'),
+
+            // Backup
+            backupBtn: document.getElementById('backupBtn'),
+            backupView: document.getElementById('backupView'),
+            backupSummary: document.getElementById('backupSummary'),
+            closeBackupBtn: document.getElementById('closeBackupBtn'),
+            exportButtons: document.getElementById('exportButtons'),
+            importForm: document.getElementById('importForm'),
+            importFileInput: document.getElementById('importFileInput'),
+            backupStatus: document.getElementById('backupStatus'),
+
+            // Stats
+            statsBtn: document.getElementById('statsBtn'),
+            graphBtn: document.getElementById('graphBtn'),
+            graphView: document.getElementById('graphView'),
+            closeGraphBtn: document.getElementById('closeGraphBtn'),
+            graphSummary: document.getElementById('graphSummary'),
+            graphCanvas: document.getElementById('graphCanvas'),
+            graphSelection: document.getElementById('graphSelection'),
+            graphLookupBtn: document.getElementById('graphLookupBtn'),
+            graphZoomInBtn: document.getElementById('graphZoomInBtn'),
+            graphZoomOutBtn: document.getElementById('graphZoomOutBtn'),
+            graphResetBtn: document.getElementById('graphResetBtn'),
+            statsView: document.getElementById('statsView'),
+            statsSummary: document.getElementById('statsSummary'),
+            statsBody: document.getElementById('statsBody'),
+            closeStatsBtn: document.getElementById('closeStatsBtn'),
+
+            // Word of the Day and settings
+            wordOfDayBtn: document.getElementById('wordOfDayBtn'),
+            wordOfDayBadge: document.getElementById('wordOfDayBadge'),
+            settingsBtn: document.getElementById('settingsBtn'),
+            settingsView: document.getElementById('settingsView'),
+            closeSettingsBtn: document.getElementById('closeSettingsBtn'),
+            settingsForm: document.getElementById('settingsForm'),
+            fixedWordInput: document.getElementById('fixedWordInput'),
+            randomSourceSelect: document.getElementById('randomSourceSelect'),
+            randomLevelSelect: document.getElementById('randomLevelSelect'),
+            randomThemeSelect: document.getElementById('randomThemeSelect'),
+            autoplayInput: document.getElementById('autoplayInput'),
+            speechSettings: document.getElementById('speechSettings'),
+            voiceSelect: document.getElementById('voiceSelect'),
+            speechRateInput: document.getElementById('speechRateInput'),
+            speechRateValue: document.getElementById('speechRateValue'),
+            testVoiceBtn: document.getElementById('testVoiceBtn'),
+
+            // Flashcard review
+            reviewView: document.getElementById('reviewView'),
+            reviewProgress: document.getElementById('reviewProgress'),
+            reviewBody: document.getElementById('reviewBody'),
+            closeReviewBtn: document.getElementById('closeReviewBtn'),
+
+            // Sidebars
+            historySidebar: document.getElementById('historySidebar'),
+            favoritesSidebar: document.getElementById('favoritesSidebar'),
+            historyList: document.getElementById('historyList'),
+            favoritesList: document.getElementById('favoritesList'),
+            collectionSelect: document.getElementById('collectionSelect'),
+            renameCollectionBtn: document.getElementById('renameCollectionBtn'),
+            deleteCollectionBtn: document.getElementById('deleteCollectionBtn'),
+            collectionForm: document.getElementById('collectionForm'),
+            collectionNameInput: document.getElementById('collectionNameInput'),
+            collectionSubmitBtn: document.getElementById('collectionSubmitBtn'),
+            tagFilter: document.getElementById('tagFilter'),
+            tagFilterName: document.getElementById('tagFilterName'),
+            clearTagFilterBtn: document.getElementById('clearTagFilterBtn'),
+            closeHistoryBtn: document.getElementById('closeHistoryBtn'),
+            closeFavoritesBtn: document.getElementById('closeFavoritesBtn'),
+            clearHistoryBtn: document.getElementById('clearHistoryBtn'),
+            historyFilter: document.getElementById('historyFilter'),
+            historySort: document.getElementById('historySort'),
+            clearFavoritesBtn: document.getElementById('clearFavoritesBtn'),
+            sidebarOverlay: document.getElementById('sidebarOverlay'),
+
+            // Theme toggle
+            themeToggle: document.getElementById('themeToggle'),
+        };
     }
 
     /**
-     * Show favorites sidebar
+     * Get a DOM element by ID
+     * @param {string} key - Element key
+     * @returns {HTMLElement|null} DOM element
      */
-    showFavorites() {
-        this.show(this.dom.get('favoritesSidebar'));
+    get(key) {
+        return this.elements[key] || null;
     }
+}
 
+// ===== ENTRY MODEL =====
+
+/**
+ * Validates dictionary payloads and turns them into the internal entry
+ * model every renderer consumes:
+ * {
+ *   word, phonetic, provider, origin,
+ *   sourceUrls: [string], license: { name, url } | null,
+ *   phonetics: [{ text, audio, sourceUrl, license }],
+ *   meanings: [{
+ *     partOfSpeech, synonyms, antonyms,
+ *     definitions: [{ definition, example, synonyms, antonyms }]
+ *   }]
+ * }
+ * Every field is present with a default; fields of the wrong type are
+ * treated as missing, and meanings without a usable definition are dropped.
+ */
+class EntryNormalizer {
     /**
-     * Show a specific sidebar
-     * @param {HTMLElement} sidebar - Sidebar element
+     * Normalize one entry
+     * @param {*} raw - Entry-like object from a provider or the cache
+     * @param {string} [provider] - Provider name (defaults to the entry's own)
+     * @returns {Object|null} Normalized entry, or null if it has no headword or definitions
      */
-    show(sidebar) {
-        this.closeAll();
-        this.activeSidebar = sidebar;
-        sidebar.classList.remove('hidden');
-        sidebar.classList.add('active');
-        this.dom.get('sidebarOverlay').classList.remove('hidden');
-        document.body.style.overflow = 'hidden';
+    static normalizeEntry(raw, provider) {
+        if (!this.isObject(raw)) return null;
+
+        const word = this.text(raw.word);
+        const meanings = this.list(raw.meanings)
+            .map(meaning => this.normalizeMeaning(meaning))
+            .filter(Boolean);
+
+        if (!word || meanings.length === 0) return null;
+
+        return {
+            word,
+            phonetic: this.text(raw.phonetic),
+            phonetics: this.list(raw.phonetics)
+                .filter(p => this.isObject(p))
+                .map(p => ({
+                    text: this.text(p.text),
+                    audio: this.url(p.audio),
+                    sourceUrl: this.url(p.sourceUrl),
+                    license: this.license(p.license),
+                }))
+                .filter(p => p.text || p.audio),
+            meanings,
+            origin: this.text(raw.origin),
+            sourceUrls: [...new Set(this.list(raw.sourceUrls).map(url => this.url(url)).filter(Boolean))],
+            license: this.license(raw.license),
+            provider: provider || this.text(raw.provider),
+        };
     }
 
     /**
-     * Close all sidebars
+     * Normalize one meaning
+     * @param {*} raw - Meaning-like object
+     * @returns {Object|null} Normalized meaning, or null without definitions
      */
-    closeAll() {
-        const sidebars = [
-            this.dom.get('historySidebar'),
-            this.dom.get('favoritesSidebar')
-        ];
+    static normalizeMeaning(raw) {
+        if (!this.isObject(raw)) return null;
 
-        sidebars.forEach(sidebar => {
-            sidebar.classList.remove('active');
-        });
+        const definitions = this.list(raw.definitions)
+            .filter(def => this.isObject(def) && this.text(def.definition))
+            .map(def => ({
+                definition: this.text(def.definition),
+                example: this.text(def.example),
+                synonyms: this.words(def.synonyms),
+                antonyms: this.words(def.antonyms),
+            }));
 
-        this.dom.get('sidebarOverlay').classList.add('hidden');
-        document.body.style.overflow = '';
+        if (definitions.length === 0) return null;
 
-        // Hide after animation
-        setTimeout(() => {
-            sidebars.forEach(sidebar => {
-                if (!sidebar.classList.contains('active')) {
-                    sidebar.classList.add('hidden');
-                }
-            });
-        }, 300);
+        return {
+            partOfSpeech: this.text(raw.partOfSpeech).toLowerCase(),
+            synonyms: this.words(raw.synonyms),
+            antonyms: this.words(raw.antonyms),
+            definitions,
+        };
+    }
 
-        this.activeSidebar = null;
+    /**
+     * Normalize word data ({ word, entries }), e.g. a cache record
+     * written by an older version
+     * @param {*} data - Word data
+     * @returns {Object|null} Word data with normalized entries, or null if none are usable
+     */
+    static normalizeWordData(data) {
+        if (!this.isObject(data)) return null;
+
+        const entries = this.list(data.entries)
+            .map(entry => this.normalizeEntry(entry))
+            .filter(Boolean);
+
+        if (entries.length === 0) return null;
+
+        return {
+            word: this.text(data.word) || entries[0].word,
+            entries,
+        };
     }
 
     /**
-     * Check if any sidebar is open
-     * @returns {boolean} True if sidebar is open
+     * @param {*} value - Any value
+     * @returns {boolean} True for plain (non-array) objects
      */
-    isOpen() {
-        return this.activeSidebar !== null;
+    static isObject(value) {
+        return typeof value === 'object' && value !== null && !Array.isArray(value);
+    }
+
+    /**
+     * @param {*} value - Any value
+     * @returns {Array} The value if it is an array, otherwise []
+     */
+    static list(value) {
+        return Array.isArray(value) ? value : [];
+    }
+
+    /**
+     * @param {*} value - Any value
+     * @returns {string} Trimmed string, or '' for non-strings
+     */
+    static text(value) {
+        return typeof value === 'string' ? value.trim() : '';
+    }
+
+    /**
+     * @param {*} value - Any value
+     * @returns {Array<string>} Unique non-empty strings
+     */
+    static words(value) {
+        return [...new Set(this.list(value).map(item => this.text(item)).filter(Boolean))];
+    }
+
+    /**
+     * Accept only absolute http(s) URLs so links and audio can't run script.
+     * Protocol-relative URLs (older audio links) are upgraded to https.
+     * @param {*} value - Any value
+     * @returns {string} URL, or '' if invalid
+     */
+    static url(value) {
+        let text = this.text(value);
+        if (text.startsWith('//')) {
+            text = `https:${text}`;
+        }
+        if (!text) return '';
+
+        try {
+            const { protocol } = new URL(text);
+            return protocol === 'https:' || protocol === 'http:' ? text : '';
+        } catch (error) {
+            return '';
+        }
+    }
+
+    /**
+     * @param {*} value - License-like object
+     * @returns {Object|null} { name, url }, or null without a name
+     */
+    static license(value) {
+        if (!this.isObject(value)) return null;
+
+        const name = this.text(value.name);
+        return name ? { name, url: this.url(value.url) } : null;
     }
 }
 
-// ===== MAIN APPLICATION =====
+// ===== DICTIONARY PROVIDERS =====
 
 /**
- * Main Wordly application class
+ * Base class for dictionary providers.
+ *
+ * A provider looks up a word and resolves with every matching
+ * (homograph) entry, each in the EntryNormalizer model. Entries that
+ * fail validation are dropped.
+ * A miss is reported by throwing WordNotFoundError so the chain can
+ * move on to the next provider. A lookup cancelled through its
+ * AbortSignal throws AbortedError; other failures throw another
+ * DictionaryError (see ERRORS).
  */
-class WordlyApp {
-    constructor() {
-        this.dom = new DOMManager();
-        this.ui = new UIManager(this.dom);
-        this.theme = new ThemeManager(this.dom);
-        this.sidebar = new SidebarManager(this.dom);
+class DictionaryProvider {
+    /**
+     * @param {string} name - Provider name (stored on each entry)
+     */
+    constructor(name) {
+        this.name = name;
+    }
 
-        // Application state
-        this.state = {
-            currentWord: null,
-            searchHistory: [],
-            favorites: [],
-        };
+    /**
+     * Look up a word
+     * @param {string} word - Word to look up
+     * @param {Object} [options] - Lookup options
+     * @param {AbortSignal} [options.signal] - Cancels the lookup
+     * @returns {Promise<Array<Object>>} Normalized entries (at least one)
+     * @throws {DictionaryError} WordNotFoundError on a miss, others on failure
+     */
+    async lookup(word, { signal } = {}) {
+        throw new Error(`${this.constructor.name} must implement lookup()`);
+    }
 
-        // Random words for the random word feature
-        this.randomWords = [
-            'eloquent', 'resilient', 'serendipity', 'ephemeral', 'magnificent',
-            'luminous', 'harmony', 'tranquil', 'vibrant', 'sublime',
-            'cascade', 'pristine', 'euphoria', 'zenith', 'flourish',
-            'enigma', 'persevere', 'radiant', 'whimsical', 'benevolent',
-            'vocabulary', 'pronunciation', 'grammar', 'fluency', 'articulate'
-        ];
+    /**
+     * Build a normalized entry from provider data
+     * @param {Object} raw - Entry-like object
+     * @returns {Object|null} Normalized entry, or null if unusable
+     */
+    createEntry(raw) {
+        return EntryNormalizer.normalizeEntry(raw, this.name);
     }
+}
 
+/**
+ * Provider for the Free Dictionary API (dictionaryapi.dev)
+ */
+class DictionaryApiProvider extends DictionaryProvider {
     /**
-     * Initialize the application
+     * @param {Object} options - Provider options
+     * @param {string} options.baseUrl - Entries endpoint
+     * @param {number} options.timeout - Request timeout in milliseconds
      */
-    async initialize() {
-        console.log('🚀 Wordly Dictionary App initialized!');
+    constructor({ baseUrl, timeout }) {
+        super('dictionaryapi');
+        this.baseUrl = baseUrl;
+        this.timeout = timeout;
+    }
 
-        // Load saved data
-        this.loadSavedData();
+    /**
+     * Fetch word data from the API
+     * @param {string} word - Word to look up
+     * @param {Object} [options] - Lookup options
+     * @param {AbortSignal} [options.signal] - Cancels the request
+     * @returns {Promise<Array<Object>>} Normalized entries
+     * @throws {DictionaryError} Lookup failures
+     */
+    async lookup(word, { signal } = {}) {
+        if (signal?.aborted) {
+            throw new AbortedError();
+        }
 
-        // Initialize theme
-        this.theme.initialize();
+        // One controller for both the timeout and the caller's signal
+        const controller = new AbortController();
+        const timeoutId = setTimeout(() => controller.abort(), this.timeout);
+        const cancel = () => controller.abort();
+        signal?.addEventListener('abort', cancel);
+
+        // Our own abort means either cancelled or timed out
+        const toError = (error, fallback) => {
+            if (error.name !== 'AbortError') return fallback;
+            return signal?.aborted ? new AbortedError() : new TimeoutError(this.timeout);
+        };
 
-        // Setup event listeners
-        this.setupEventListeners();
+        try {
+            let response;
+            try {
+                response = await fetch(
+                    `${this.baseUrl}/${encodeURIComponent(word)}`,
+                    { signal: controller.signal }
+                );
+            } catch (error) {
+                throw toError(error, new NetworkError(error));
+            }
 
-        // Override UI word tag click handler
-        this.ui.onWordTagClick = (word) => this.searchWord(word);
+            if (response.status === 404) {
+                throw new WordNotFoundError(word, { status: 404 });
+            }
+            if (!response.ok) {
+                throw HttpError.fromResponse(response);
+            }
 
-        // Search default word
-        await this.searchWord(APP_CONSTANTS.DEFAULT_WORD);
+            let data;
+            try {
+                data = await response.json();
+            } catch (error) {
+                throw toError(error, new MalformedResponseError('Response was not valid JSON', error));
+            }
 
-        // Announce keyboard shortcuts
-        console.log('⌨️  Keyboard shortcuts:');
-        console.log('  • Press "/" to focus search');
-        console.log('  • Press "Esc" to close sidebars');
+            if (!Array.isArray(data)) {
+                throw new MalformedResponseError('Response was not a list of entries');
+            }
+
+            const entries = data.map(entry => this.createEntry(entry)).filter(Boolean);
+            if (entries.length === 0) {
+                throw new MalformedResponseError('Response had no usable entries');
+            }
+
+            return entries;
+        } finally {
+            clearTimeout(timeoutId);
+            signal?.removeEventListener('abort', cancel);
+        }
+    }
+}
+
+/**
+ * Provider backed by a bundled JSON dictionary (e.g. a curated glossary).
+ * The JSON may be an array of entries, `{ "entries": [...] }`, or an
+ * object keyed by word. Entries use the EntryNormalizer model; invalid
+ * ones are skipped.
+ */
+class LocalDictionaryProvider extends DictionaryProvider {
+    /**
+     * @param {Object} options - Provider options
+     * @param {string} [options.url] - URL of the JSON dictionary
+     * @param {Array|Object} [options.entries] - Inline entries (instead of a URL)
+     */
+    constructor({ url = null, entries = null }) {
+        super('local');
+        this.url = url;
+        this.entries = entries ? this.index(entries) : null;
+        this.loadPromise = null;
+    }
+
+    /**
+     * Build a lookup map from dictionary data
+     * @param {Array|Object} data - Dictionary data
+     * @returns {Map<string, Array<Object>>} Entries grouped by lowercase word
+     */
+    index(data) {
+        let list;
+        if (Array.isArray(data)) {
+            list = data;
+        } else if (Array.isArray(data?.entries)) {
+            list = data.entries;
+        } else {
+            list = Object.entries(data || {}).map(([word, entry]) => ({ word, ...entry }));
+        }
+
+        const map = new Map();
+        list.forEach(entry => {
+            if (!entry?.word) return;
+
+            // Repeated words are separate homograph entries
+            const key = entry.word.toLowerCase();
+            if (!map.has(key)) {
+                map.set(key, []);
+            }
+            map.get(key).push(entry);
+        });
+        return map;
+    }
+
+    /**
+     * Load the dictionary once; a missing or broken file counts as empty
+     * @returns {Promise<Map<string, Array<Object>>>} Entries grouped by word
+     */
+    load() {
+        if (this.entries) {
+            return Promise.resolve(this.entries);
+        }
+
+        if (!this.loadPromise) {
+            this.loadPromise = fetch(this.url)
+                .then(response => {
+                    if (!response.ok) {
+                        throw new Error(`HTTP ${response.status}`);
+                    }
+                    return response.json();
+                })
+                .then(data => {
+                    this.entries = this.index(data);
+                    return this.entries;
+                })
+                .catch(error => {
+                    console.warn(`Local dictionary "${this.url}" unavailable:`, error.message);
+                    this.loadPromise = null; // Retry on the next lookup
+                    return new Map();
+                });
+        }
+
+        return this.loadPromise;
+    }
+
+    /**
+     * Look up a word in the local dictionary
+     * @param {string} word - Word to look up
+     * @returns {Promise<Array<Object>>} Normalized entries
+     * @throws {WordNotFoundError} On a miss
+     */
+    async lookup(word) {
+        const dictionary = await this.load();
+        const entries = dictionary.get(word.toLowerCase());
+
+        const usable = (entries || []).map(entry => this.createEntry(entry)).filter(Boolean);
+
+        if (usable.length === 0) {
+            throw new WordNotFoundError(word);
+        }
+
+        return usable;
+    }
+}
+
+/**
+ * Provider types available to PROVIDER_CONFIG
+ */
+const PROVIDER_TYPES = {
+    dictionaryapi: DictionaryApiProvider,
+    local: LocalDictionaryProvider,
+};
+
+/**
+ * Ordered fallback chain of providers
+ */
+class ProviderChain {
+    /**
+     * @param {Array<DictionaryProvider>} providers - Providers in lookup order
+     */
+    constructor(providers) {
+        this.providers = providers;
+    }
+
+    /**
+     * Create a chain from configuration
+     * @param {Array<Object>} config - Provider configs ({ type, ...options })
+     * @returns {ProviderChain} Provider chain
+     */
+    static fromConfig(config) {
+        return new ProviderChain(config.map(({ type, ...options }) => {
+            const Provider = PROVIDER_TYPES[type];
+            if (!Provider) {
+                throw new Error(`Unknown dictionary provider: ${type}`);
+            }
+            return new Provider(options);
+        }));
+    }
+
+    /**
+     * Look up a word, falling back to the next provider on a miss or error
+     * @param {string} word - Word to look up
+     * @param {Object} [options] - Lookup options
+     * @param {AbortSignal} [options.signal] - Cancels the lookup
+     * @returns {Promise<Array<Object>>} Entries from the first provider that has the word
+     * @throws {DictionaryError} First provider failure, WordNotFoundError if every
+     *   provider missed, or AbortedError if cancelled
+     */
+    async lookup(word, { signal } = {}) {
+        let firstError = null;
+
+        for (const provider of this.providers) {
+            try {
+                return await provider.lookup(word, { signal });
+            } catch (error) {
+                // Cancelled - don't fall through to the next provider
+                if (error instanceof AbortedError) {
+                    throw error;
+                }
+
+                if (!(error instanceof WordNotFoundError)) {
+                    console.warn(`Provider "${provider.name}" failed for "${word}":`, error.message);
+                    firstError = firstError || error;
+                }
+            }
+        }
+
+        throw firstError || new WordNotFoundError(word);
+    }
+}
+
+// ===== WORD LIST =====
+
+/**
+ * Bundled list of common words (used for suggestions)
+ */
+class WordList {
+    static loadPromise = null;
+
+    /**
+     * Load the word list once; a missing file counts as empty
+     * @returns {Promise<Array<string>>} Lowercase words
+     */
+    static load() {
+        if (!this.loadPromise) {
+            this.loadPromise = fetch(APP_CONSTANTS.WORD_LIST_URL)
+                .then(response => {
+                    if (!response.ok) {
+                        throw new Error(`HTTP ${response.status}`);
+                    }
+                    return response.json();
+                })
+                .then(words => words.map(word => word.toLowerCase()))
+                .catch(error => {
+                    console.warn('Word list unavailable:', error.message);
+                    this.loadPromise = null; // Retry next time
+                    return [];
+                });
+        }
+
+        return this.loadPromise;
+    }
+}
+
+// ===== WORD POOL =====
+
+/**
+ * Curated words for Word of the Day and Random, tagged by difficulty
+ * level and theme. Add words to wordpool.json to grow the pool.
+ * Pool: { levels: [string], themes: [string], words: [{ word, level, themes }] }
+ */
+class WordPool {
+    static loadPromise = null;
+
+    /**
+     * Load the pool once; a missing file counts as empty
+     * @returns {Promise<Object>} Word pool
+     */
+    static load() {
+        if (!this.loadPromise) {
+            this.loadPromise = fetch(APP_CONSTANTS.WORD_POOL_URL)
+                .then(response => {
+                    if (!response.ok) {
+                        throw new Error(`HTTP ${response.status}`);
+                    }
+                    return response.json();
+                })
+                .then(pool => ({
+                    levels: Array.isArray(pool.levels) ? pool.levels : [],
+                    themes: Array.isArray(pool.themes) ? pool.themes : [],
+                    words: (Array.isArray(pool.words) ? pool.words : [])
+                        .filter(entry => typeof entry?.word === 'string' && entry.word)
+                        .map(entry => ({
+                            word: entry.word.toLowerCase(),
+                            level: entry.level || null,
+                            themes: Array.isArray(entry.themes) ? entry.themes : [],
+                        })),
+                }))
+                .catch(error => {
+                    console.warn('Word pool unavailable:', error.message);
+                    this.loadPromise = null; // Retry next time
+                    return { levels: [], themes: [], words: [] };
+                });
+        }
+
+        return this.loadPromise;
+    }
+
+    /**
+     * Replace a level or theme the pool doesn't have with SETTINGS_CONFIG.ANY
+     * @param {Object} pool - Word pool
+     * @param {Object} filter - { level, theme }
+     * @returns {Object} { level, theme } the pool can filter by
+     */
+    static validFilter(pool, { level, theme }) {
+        return {
+            level: pool.levels.includes(level) ? level : SETTINGS_CONFIG.ANY,
+            theme: pool.themes.includes(theme) ? theme : SETTINGS_CONFIG.ANY,
+        };
+    }
+
+    /**
+     * Words matching a level and theme
+     * @param {Object} pool - Word pool
+     * @param {Object} filter - { level, theme } (SETTINGS_CONFIG.ANY for no filter)
+     * @returns {Array<string>} Words
+     */
+    static filter(pool, { level = SETTINGS_CONFIG.ANY, theme = SETTINGS_CONFIG.ANY } = {}) {
+        return pool.words
+            .filter(entry =>
+                (level === SETTINGS_CONFIG.ANY || entry.level === level) &&
+                (theme === SETTINGS_CONFIG.ANY || entry.themes.includes(theme)))
+            .map(entry => entry.word);
+    }
+
+    /**
+     * The same word for everyone on a given calendar date
+     * @param {Object} pool - Word pool
+     * @param {number} [time=Date.now()] - Any time on the date
+     * @returns {string|null} Word of the day
+     */
+    static wordOfTheDay(pool, time = Date.now()) {
+        if (pool.words.length === 0) return null;
+
+        const index = this.hash(`wordly:${ActivityLog.dayKey(time)}`) % pool.words.length;
+        return pool.words[index].word;
+    }
+
+    /**
+     * FNV-1a string hash, so consecutive dates land far apart in the pool
+     * @param {string} text - Text to hash
+     * @returns {number} Unsigned 32-bit hash
+     */
+    static hash(text) {
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return hash >>> 0;
+    }
+}
+
+// ===== WORD LINKS =====
+
+/**
+ * Splits definition text into clickable words and maps inflected forms
+ * ("running", "studies") to the base form worth looking up
+ */
+class WordLinker {
+    // Function words nobody needs to look up
+    static STOPWORDS = new Set([
+        'the', 'and', 'for', 'are', 'was', 'were', 'been', 'being', 'has', 'have', 'had',
+        'not', 'but', 'with', 'from', 'that', 'this', 'these', 'those', 'which', 'who',
+        'whom', 'whose', 'what', 'when', 'where', 'than', 'then', 'there', 'their', 'they',
+        'them', 'its', 'his', 'her', 'she', 'you', 'your', 'our', 'can', 'may', 'into',
+        'onto', 'upon', 'also', 'such', 'some', 'any', 'does', 'did', 'etc', 'one', 'or'
+    ]);
+
+    static IRREGULAR = {
+        went: 'go', gone: 'go', made: 'make', said: 'say', took: 'take', taken: 'take',
+        gave: 'give', given: 'give', came: 'come', saw: 'see', seen: 'see', knew: 'know',
+        known: 'know', thought: 'think', found: 'find', told: 'tell', felt: 'feel',
+        brought: 'bring', began: 'begin', begun: 'begin', kept: 'keep', held: 'hold',
+        wrote: 'write', written: 'write', stood: 'stand', heard: 'hear', meant: 'mean',
+        ran: 'run', paid: 'pay', spoke: 'speak', spoken: 'speak', grew: 'grow', grown: 'grow',
+        lost: 'lose', fell: 'fall', fallen: 'fall', sent: 'send', built: 'build',
+        understood: 'understand', chose: 'choose', chosen: 'choose', children: 'child',
+        men: 'man', women: 'woman', feet: 'foot', teeth: 'tooth', mice: 'mouse'
+    };
+
+    // [suffix, replacements], e.g. "studies" -> "study"
+    static SUFFIX_RULES = [
+        ['ies', ['y']], ['ied', ['y']], ['ier', ['y']], ['iest', ['y']], ['ily', ['y']],
+        ['sses', ['ss']], ['xes', ['x']], ['ches', ['ch']], ['shes', ['sh']], ['oes', ['o']],
+        ['ing', ['', 'e']], ['ed', ['', 'e']], ['est', ['', 'e']], ['er', ['', 'e']],
+        ['ly', ['']], ['es', ['e', '']], ['s', ['']]
+    ];
+
+    /**
+     * Split text into words and the text between them
+     * @param {string} text - Definition or example
+     * @returns {Array<Object>} [{ text, word }] - word is null for punctuation,
+     *   spaces and words not worth linking
+     */
+    static tokenize(text) {
+        const tokens = [];
+        let last = 0;
+
+        for (const match of text.matchAll(/[A-Za-z]+(?:['’][A-Za-z]+)*/g)) {
+            if (match.index > last) {
+                tokens.push({ text: text.slice(last, match.index), word: null });
+            }
+
+            // "word's" links to "word"
+            const word = match[0].toLowerCase().replace(/['’]s$/, '');
+            const linkable = word.length >= WORD_LINK_CONFIG.MIN_LENGTH &&
+                !/['’]/.test(word) && !this.STOPWORDS.has(word);
+
+            tokens.push({ text: match[0], word: linkable ? word : null });
+            last = match.index + match[0].length;
+        }
+
+        if (last < text.length) {
+            tokens.push({ text: text.slice(last), word: null });
+        }
+
+        return tokens;
+    }
+
+    /**
+     * Possible base forms of a word, most likely first
+     * @param {string} word - Lowercase word
+     * @returns {Array<string>} Candidates (without the word itself)
+     */
+    static candidates(word) {
+        const candidates = [];
+
+        if (this.IRREGULAR[word]) {
+            candidates.push(this.IRREGULAR[word]);
+        }
+
+        this.SUFFIX_RULES.forEach(([suffix, replacements]) => {
+            if (!word.endsWith(suffix) || word.length - suffix.length < 2) return;
+            // "glass", "status", "basis" aren't plurals
+            if (suffix === 's' && /(ss|us|is)$/.test(word)) return;
+
+            const stem = word.slice(0, -suffix.length);
+            replacements.forEach(replacement => candidates.push(stem + replacement));
+
+            // "running" -> "run"
+            if (/([b-df-hj-np-tv-z])\1$/.test(stem)) {
+                candidates.push(stem.slice(0, -1));
+            }
+        });
+
+        return Array.from(new Set(candidates)).filter(candidate => candidate !== word);
+    }
+
+    /**
+     * The form of a word to look up: the word itself if it is known,
+     * otherwise its first known base form
+     * @param {string} word - Lowercase word
+     * @param {Set<string>} known - Words known to have entries
+     * @returns {string} Word to look up
+     */
+    static resolve(word, known) {
+        if (known.has(word)) return word;
+        if (this.IRREGULAR[word]) return this.IRREGULAR[word];
+
+        return this.candidates(word).find(candidate => known.has(candidate)) || word;
+    }
+}
+
+// ===== API SERVICE =====
+
+/**
+ * API service for fetching word data
+ */
+class DictionaryAPI {
+    static providers = ProviderChain.fromConfig(PROVIDER_CONFIG.CHAIN);
+
+    // Network lookups in progress, by lowercase word:
+    // { promise, controller, callers, settled }
+    static inFlight = new Map();
+
+    /**
+     * Replace the provider chain (e.g. to plug in a custom provider)
+     * @param {Array<DictionaryProvider>} providers - Providers in lookup order
+     */
+    static setProviders(providers) {
+        this.providers = new ProviderChain(providers);
+    }
+
+    /**
+     * Fetch word data, serving cached entries first (stale-while-revalidate)
+     * @param {string} word - Word to look up
+     * @param {Object} [options] - Lookup options
+     * @param {Function} [options.onUpdate] - Called with fresh data after a background refresh
+     * @param {AbortSignal} [options.signal] - Cancels this caller's wait (and the
+     *   request itself once no other caller is waiting for it)
+     * @returns {Promise<Object>} Word data
+     * @throws {DictionaryError} Lookup failures, or AbortedError if cancelled
+     */
+    static async fetchWord(word, { onUpdate, signal } = {}) {
+        const cached = await EntryCache.get(word);
+
+        if (signal?.aborted) {
+            throw new AbortedError();
+        }
+
+        if (cached) {
+            if (EntryCache.isStale(cached)) {
+                this.revalidate(word, onUpdate);
+            }
+            return cached.data;
+        }
+
+        return this.requestWord(word, { signal });
+    }
+
+    /**
+     * Refresh a cached entry in the background
+     * @param {string} word - Word to refresh
+     * @param {Function} [onUpdate] - Called with the fresh data
+     */
+    static revalidate(word, onUpdate) {
+        this.requestWord(word)
+            .then(data => {
+                if (onUpdate) {
+                    onUpdate(data);
+                }
+            })
+            .catch(error => {
+                // Keep serving the stale entry (e.g. while offline)
+                console.warn(`Background refresh failed for "${word}":`, error.message);
+            });
+    }
+
+    /**
+     * Look up a word through the provider chain and cache the result.
+     * Concurrent requests for the same word share one lookup.
+     * @param {string} word - Word to look up
+     * @param {Object} [options] - Lookup options
+     * @param {AbortSignal} [options.signal] - Stops waiting for the result
+     * @returns {Promise<Object>} Word data: { word, entries } with every homograph entry
+     * @throws {DictionaryError} Provider errors, or AbortedError if cancelled
+     */
+    static requestWord(word, { signal } = {}) {
+        const key = EntryCache.key(word);
+        let request = this.inFlight.get(key);
+
+        if (!request) {
+            const controller = new AbortController();
+            request = { controller, callers: 0, settled: false };
+            request.promise = this.requestWithRetry(word, controller.signal)
+                .then(data => {
+                    EntryCache.set(key, data);
+                    return data;
+                })
+                .finally(() => {
+                    request.settled = true;
+                    if (this.inFlight.get(key) === request) {
+                        this.inFlight.delete(key);
+                    }
+                });
+            this.inFlight.set(key, request);
+        }
+
+        return this.join(key, request, signal);
+    }
+
+    /**
+     * Wait for a shared request; the last caller to give up cancels it
+     * @param {string} key - In-flight key
+     * @param {Object} request - In-flight request
+     * @param {AbortSignal} [signal] - This caller's signal
+     * @returns {Promise<Object>} Word data
+     */
+    static join(key, request, signal) {
+        if (signal?.aborted) {
+            return Promise.reject(new AbortedError());
+        }
+
+        request.callers++;
+
+        return new Promise((resolve, reject) => {
+            let done = false;
+
+            const leave = () => {
+                if (done) return false;
+                done = true;
+                signal?.removeEventListener('abort', onAbort);
+                request.callers--;
+                return true;
+            };
+
+            const onAbort = () => {
+                if (!leave()) return;
+
+                if (request.callers === 0 && !request.settled) {
+                    request.controller.abort();
+                    if (this.inFlight.get(key) === request) {
+                        this.inFlight.delete(key);
+                    }
+                }
+                reject(new AbortedError());
+            };
+
+            signal?.addEventListener('abort', onAbort);
+
+            request.promise.then(
+                data => leave() && resolve(data),
+                error => leave() && reject(error)
+            );
+        });
+    }
+
+    /**
+     * Look up a word, retrying transient failures with exponential backoff
+     * @param {string} word - Word to look up
+     * @param {AbortSignal} signal - Cancels the lookup and any pending retry
+     * @returns {Promise<Object>} Word data
+     * @throws {DictionaryError} The last failure, or AbortedError if cancelled
+     */
+    static async requestWithRetry(word, signal) {
+        for (let attempt = 0; ; attempt++) {
+            try {
+                const entries = await this.providers.lookup(word, { signal });
+                return {
+                    word: entries[0].word,
+                    entries,
+                };
+            } catch (error) {
+                // Timeouts already waited long enough; offline retries can't succeed
+                const retryable = error.retryable && !(error instanceof TimeoutError) && navigator.onLine;
+                if (!retryable || attempt >= API_CONFIG.RETRIES) {
+                    throw error;
+                }
+
+                // Honour Retry-After, unless it asks for longer than we're willing to wait
+                const backoff = API_CONFIG.RETRY_DELAY * 2 ** attempt;
+                const wait = Math.max(backoff, (error.retryAfter || 0) * 1000);
+                if (wait > API_CONFIG.MAX_RETRY_DELAY) {
+                    throw error;
+                }
+
+                await Utils.delay(wait, signal);
+            }
+        }
+    }
+
+    /**
+     * Every pronunciation variant of an entry: IPA text, audio and accent.
+     * Variants without audio are kept for their IPA text.
+     * @param {Object} entry - Dictionary entry
+     * @returns {Array<Object>} [{ text, audio, accent }] in source order
+     */
+    static extractPronunciations(entry) {
+        const seen = new Set();
+        const variants = [];
+
+        entry.phonetics.forEach(({ text, audio }) => {
+            const key = `${text}|${audio}`;
+
+            if ((!text && !audio) || seen.has(key)) return;
+            seen.add(key);
+
+            variants.push({ text, audio, accent: this.inferAccent(audio) });
+        });
+
+        // The headline phonetic may not appear among the variants
+        const { phonetic } = entry;
+        if (phonetic && !variants.some(v => v.text === phonetic)) {
+            variants.unshift({ text: phonetic, audio: '', accent: null });
+        }
+
+        // Text-only variants repeating the IPA of a variant with audio add nothing
+        return variants.filter(v =>
+            v.audio || !variants.some(other => other.audio && other.text === v.text)
+        );
+    }
+
+    /**
+     * Infer the accent from an audio file name
+     * @param {string} audioUrl - Audio URL (e.g. ".../hello-uk.mp3")
+     * @returns {Object|null} { code, label, name } or null when unknown
+     */
+    static inferAccent(audioUrl) {
+        if (!audioUrl) return null;
+
+        let fileName;
+        try {
+            fileName = new URL(audioUrl, location.href).pathname.split('/').pop();
+        } catch (error) {
+            return null;
+        }
+
+        const match = fileName.match(/[-_]([a-z]{2})(?:[-_]\d+)?\.(?:mp3|ogg|oga|wav|m4a)$/i);
+        const code = match?.[1].toLowerCase();
+        const accent = PRONUNCIATION_CONFIG.ACCENTS[code];
+
+        return accent ? { code, ...accent } : null;
+    }
+
+    /**
+     * Unique related words listed on one meaning or definition
+     * @param {Object} item - Meaning or definition
+     * @param {string} key - 'synonyms' or 'antonyms'
+     * @returns {Array<string>} Related words
+     */
+    static relatedWords(item, key) {
+        return Array.from(new Set((item[key] || []).filter(Boolean)));
+    }
+
+    /**
+     * Related words grouped by part of speech, so "light" the adjective
+     * and "light" the noun keep their own synonyms
+     * @param {Array} meanings - Meanings array
+     * @param {string} key - 'synonyms' or 'antonyms'
+     * @returns {Array<Object>} [{ partOfSpeech, words }] in meaning order
+     */
+    static groupRelated(meanings, key) {
+        const groups = new Map();
+
+        meanings.forEach(meaning => {
+            const words = groups.get(meaning.partOfSpeech) || new Set();
+
+            // Meaning-level, then definition-level
+            this.relatedWords(meaning, key).forEach(word => words.add(word));
+            meaning.definitions.forEach(def => {
+                this.relatedWords(def, key).forEach(word => words.add(word));
+            });
+
+            groups.set(meaning.partOfSpeech, words);
+        });
+
+        return Array.from(groups, ([partOfSpeech, words]) => ({ partOfSpeech, words: Array.from(words) }))
+            .filter(group => group.words.length > 0);
+    }
+
+    /**
+     * Collect all unique synonyms from meanings
+     * @param {Array} meanings - Meanings array
+     * @returns {Array<string>} Unique synonyms
+     */
+    static collectSynonyms(meanings) {
+        return Array.from(new Set(this.groupRelated(meanings, 'synonyms').flatMap(group => group.words)));
+    }
+
+    /**
+     * Collect all unique antonyms from meanings
+     * @param {Array} meanings - Meanings array
+     * @returns {Array<string>} Unique antonyms
+     */
+    static collectAntonyms(meanings) {
+        return Array.from(new Set(this.groupRelated(meanings, 'antonyms').flatMap(group => group.words)));
+    }
+}
+
+// ===== PRONUNCIATION PLAYER =====
+
+/**
+ * Plays pronunciation audio through the shared <audio> element and
+ * reflects loading/playing/error state on the button that started it
+ */
+class PronunciationPlayer {
+    static STATES = {
+        IDLE: 'idle',
+        LOADING: 'loading',
+        PLAYING: 'playing',
+        BLOCKED: 'blocked',
+        ERROR: 'error',
+    };
+
+    static LABELS = {
+        idle: 'Listen',
+        loading: 'Loading...',
+        playing: 'Playing',
+        blocked: 'Tap to play',
+        error: 'Unavailable',
+    };
+
+    static TITLES = {
+        blocked: 'Your browser blocked automatic playback - click to listen',
+        error: 'This recording could not be played - click to try again',
+    };
+
+    constructor(audioElement) {
+        this.audio = audioElement;
+        this.button = null;
+        this.isStarting = false; // Between play() and the 'playing' event
+        this.slowTimer = null;
+
+        this.audio.addEventListener('waiting', () => this.setState(PronunciationPlayer.STATES.LOADING));
+        this.audio.addEventListener('playing', () => {
+            this.isStarting = false;
+            this.setState(PronunciationPlayer.STATES.PLAYING);
+        });
+        this.audio.addEventListener('pause', () => {
+            // Switching recordings pauses the old one - keep the new button loading
+            if (!this.isStarting) {
+                this.setState(PronunciationPlayer.STATES.IDLE);
+            }
+        });
+        this.audio.addEventListener('ended', () => this.setState(PronunciationPlayer.STATES.IDLE));
+        this.audio.addEventListener('error', () => {
+            this.isStarting = false;
+            // Errors from a cleared src are not the user's problem
+            if (this.audio.getAttribute('src')) {
+                this.setState(PronunciationPlayer.STATES.ERROR);
+            }
+        });
+    }
+
+    /**
+     * Play a recording, or stop it if its button is already playing
+     * @param {string} url - Audio URL
+     * @param {HTMLElement} button - Button that controls this recording
+     */
+    toggle(url, button) {
+        if (this.button === button && !this.audio.paused) {
+            this.audio.pause();
+            return;
+        }
+
+        this.play(url, button);
+    }
+
+    /**
+     * Set the playback speed (kept across recordings)
+     * @param {number} rate - Playback rate, e.g. 0.75
+     */
+    setRate(rate) {
+        this.audio.defaultPlaybackRate = rate;
+        this.audio.playbackRate = rate;
+    }
+
+    /**
+     * Repeat the recording until stopped (a loop never fires 'ended')
+     * @param {boolean} loop - Whether to loop
+     */
+    setLoop(loop) {
+        this.audio.loop = loop;
+    }
+
+    /**
+     * Play a recording
+     * @param {string} url - Audio URL
+     * @param {HTMLElement} button - Button that controls this recording
+     */
+    play(url, button) {
+        if (this.button && this.button !== button) {
+            this.audio.pause();
+            this.setState(PronunciationPlayer.STATES.IDLE);
+        }
+
+        this.button = button;
+        this.isStarting = true;
+
+        if (this.audio.getAttribute('src') !== url) {
+            this.audio.src = url;
+        } else if (this.audio.error) {
+            // Retry a recording that failed to load
+            this.audio.load();
+        } else {
+            this.audio.currentTime = 0;
+        }
+
+        // Loading a new source resets the rate to the default
+        this.audio.playbackRate = this.audio.defaultPlaybackRate;
+        this.setState(PronunciationPlayer.STATES.LOADING);
+
+        this.audio.play().catch(error => {
+            // A newer play() or pause() interrupted this one - not a failure
+            if (error.name === 'AbortError') return;
+            this.isStarting = false;
+            if (this.button !== button) return;
+
+            if (error.name === 'NotAllowedError') {
+                // Autoplay policy: the user has to start playback themselves
+                this.setState(PronunciationPlayer.STATES.BLOCKED);
+            } else {
+                console.warn('Pronunciation playback failed:', error);
+                this.setState(PronunciationPlayer.STATES.ERROR);
+            }
+        });
+    }
+
+    /**
+     * Stop playback and forget the current button (e.g. when re-rendering)
+     */
+    stop() {
+        this.isStarting = false;
+        this.audio.pause();
+        this.setState(PronunciationPlayer.STATES.IDLE);
+        this.button = null;
+    }
+
+    /**
+     * Show a playback state on the current button
+     * @param {string} state - One of PronunciationPlayer.STATES
+     */
+    setState(state) {
+        const button = this.button;
+        if (!button) return;
+
+        // An error sticks until the user tries again
+        if (state === PronunciationPlayer.STATES.IDLE && button.dataset.state === PronunciationPlayer.STATES.ERROR) {
+            return;
+        }
+
+        button.dataset.state = state;
+        button.setAttribute('aria-busy', String(state === PronunciationPlayer.STATES.LOADING));
+        button.setAttribute('aria-pressed', String(state === PronunciationPlayer.STATES.PLAYING));
+
+        const status = button.querySelector('.audio-status');
+        if (status) {
+            status.textContent = PronunciationPlayer.LABELS[state];
+        }
+
+        if (!button.dataset.title) {
+            button.dataset.title = button.title;
+        }
+        button.title = PronunciationPlayer.TITLES[state] || button.dataset.title;
+
+        // Tell the user when a slow connection is holding things up
+        clearTimeout(this.slowTimer);
+        if (state === PronunciationPlayer.STATES.LOADING) {
+            this.slowTimer = setTimeout(() => {
+                if (status && this.button === button && button.dataset.state === state) {
+                    status.textContent = 'Still loading...';
+                }
+            }, PRONUNCIATION_CONFIG.SLOW_LOAD_MS);
+        }
+    }
+}
+
+// ===== SPEECH SYNTHESIS =====
+
+/**
+ * Reads text aloud with the Web Speech API, using the saved voice and
+ * rate. The button that started speech shows a speaking state.
+ */
+class SpeechManager {
+    constructor() {
+        this.voiceURI = SETTINGS_CONFIG.DEFAULTS.voiceURI;
+        this.rate = SETTINGS_CONFIG.DEFAULTS.speechRate;
+        this.button = null;
+        this.utterance = null; // The one currently being read
+    }
+
+    /**
+     * Check if speech synthesis is available
+     * @returns {boolean} True if supported
+     */
+    static isSupported() {
+        return typeof window !== 'undefined' &&
+            'speechSynthesis' in window &&
+            'SpeechSynthesisUtterance' in window;
+    }
+
+    /**
+     * Voices for the app language. Browsers load voices asynchronously,
+     * so this waits for `voiceschanged` when the list starts out empty.
+     * @returns {Promise<Array<SpeechSynthesisVoice>>} Voices
+     */
+    static loadVoices() {
+        if (!this.isSupported()) return Promise.resolve([]);
+
+        const english = () => speechSynthesis.getVoices()
+            .filter(voice => voice.lang.toLowerCase().startsWith(SPEECH_CONFIG.LANGUAGE));
+
+        if (speechSynthesis.getVoices().length) {
+            return Promise.resolve(english());
+        }
+
+        return new Promise(resolve => {
+            const done = () => {
+                speechSynthesis.removeEventListener('voiceschanged', done);
+                resolve(english());
+            };
+            speechSynthesis.addEventListener('voiceschanged', done);
+            // Some browsers never fire the event when there are no voices
+            setTimeout(done, 1500);
+        });
+    }
+
+    /**
+     * Apply saved settings
+     * @param {Object} settings - { voiceURI, speechRate }
+     */
+    configure({ voiceURI, speechRate }) {
+        this.voiceURI = voiceURI;
+        this.rate = Math.min(SPEECH_CONFIG.MAX_RATE, Math.max(SPEECH_CONFIG.MIN_RATE, speechRate));
+    }
+
+    /**
+     * Speak text, or stop if its button is already speaking
+     * @param {string} text - Text to read
+     * @param {HTMLElement} [button] - Button that started it
+     */
+    toggle(text, button = null) {
+        if (button && this.button === button && speechSynthesis.speaking) {
+            this.stop();
+            return;
+        }
+
+        this.speak(text, button);
+    }
+
+    /**
+     * Speak text, interrupting anything already being read
+     * @param {string} text - Text to read
+     * @param {HTMLElement} [button] - Button that started it
+     */
+    speak(text, button = null) {
+        if (!SpeechManager.isSupported() || !text) return;
+
+        this.stop();
+
+        const utterance = new SpeechSynthesisUtterance(text);
+        const voice = speechSynthesis.getVoices().find(v => v.voiceURI === this.voiceURI);
+        if (voice) {
+            utterance.voice = voice;
+            utterance.lang = voice.lang;
+        } else {
+            utterance.lang = document.documentElement.lang || SPEECH_CONFIG.LANGUAGE;
+        }
+        utterance.rate = this.rate;
+
+        this.button = button;
+        this.utterance = utterance;
+        this.setSpeaking(button, true);
+
+        // A cancelled utterance reports back asynchronously - by then the
+        // same button may have started a new one, which must keep its state
+        const finish = () => {
+            if (this.utterance !== utterance) return;
+            this.setSpeaking(button, false);
+            this.button = null;
+            this.utterance = null;
+        };
+        utterance.addEventListener('end', finish);
+        utterance.addEventListener('error', finish);
+
+        speechSynthesis.speak(utterance);
+    }
+
+    /**
+     * Stop reading
+     */
+    stop() {
+        if (!SpeechManager.isSupported()) return;
+
+        this.setSpeaking(this.button, false);
+        this.button = null;
+        this.utterance = null;
+        speechSynthesis.cancel();
+    }
+
+    /**
+     * Reflect speaking state on a button
+     * @param {HTMLElement|null} button - Button
+     * @param {boolean} speaking - Whether it is speaking
+     */
+    setSpeaking(button, speaking) {
+        if (!button) return;
+        button.classList.toggle('speaking', speaking);
+        button.setAttribute('aria-pressed', String(speaking));
+    }
+}
+
+// ===== UI MANAGER =====
+
+/**
+ * UI manager for rendering and updating the interface
+ */
+class UIManager {
+    constructor(domManager) {
+        this.dom = domManager;
+        this.entries = [];
+        this.selectedEntry = 0;
+        this.player = new PronunciationPlayer(domManager.get('wordAudio'));
+        this.speech = new SpeechManager();
+        this.lastPronunciation = null; // Button the replay shortcut repeats
+    }
+
+    /**
+     * Show loading state
+     */
+    showLoading() {
+        this.dom.get('loadingState').classList.remove('hidden');
+        this.dom.get('errorContainer').classList.add('hidden');
+        this.dom.get('wordDisplay').classList.add('hidden');
+    }
+
+    /**
+     * Hide loading state
+     */
+    hideLoading() {
+        this.dom.get('loadingState').classList.add('hidden');
+    }
+
+    /**
+     * Show error message
+     * @param {string} title - Error title
+     * @param {string} message - Error message
+     * @param {string} [variant='error'] - 'error' or 'offline'
+     */
+    showError(title, message, variant = 'error') {
+        const container = this.dom.get('errorContainer');
+        const isOffline = variant === 'offline';
+
+        this.dom.get('errorTitle').textContent = title;
+        this.dom.get('errorMessage').textContent = message;
+        container.querySelector('.error-icon').textContent = isOffline ? '📡' : '⚠️';
+        container.classList.toggle('offline', isOffline);
+        this.dom.get('errorSuggestions').classList.add('hidden');
+        this.dom.get('errorActions').classList.add('hidden');
+        container.classList.remove('hidden');
+        this.dom.get('wordDisplay').classList.add('hidden');
+        this.hideLoading();
+    }
+
+    /**
+     * Show "Did you mean…?" chips in the error card
+     * @param {Array<string>} words - Suggested words
+     */
+    showSpellingSuggestions(words) {
+        const container = this.dom.get('errorSuggestions');
+
+        if (words.length === 0) {
+            container.classList.add('hidden');
+            return;
+        }
+
+        this.renderWordTags(this.dom.get('errorSuggestionsList'), words);
+        container.classList.remove('hidden');
+    }
+
+    /**
+     * Show the error card's actions
+     * @param {Object} actions - Which actions apply
+     * @param {boolean} actions.retry - Offer to try the lookup again
+     * @param {string|null} actions.cachedWord - Word whose own cached entry can be shown
+     * @param {string|null} actions.baseForm - Saved base form that can be shown instead
+     */
+    showErrorActions({ retry, cachedWord, baseForm }) {
+        const cachedBtn = this.dom.get('errorCachedBtn');
+        const baseFormBtn = this.dom.get('errorBaseFormBtn');
+
+        this.dom.get('errorRetryBtn').classList.toggle('hidden', !retry);
+
+        cachedBtn.classList.toggle('hidden', !cachedWord);
+        if (cachedWord) {
+            cachedBtn.dataset.word = cachedWord;
+        }
+
+        baseFormBtn.classList.toggle('hidden', !baseForm);
+        if (baseForm) {
+            baseFormBtn.dataset.word = baseForm;
+            baseFormBtn.textContent = `📦 View saved base form "${baseForm}"`;
+        }
+
+        this.dom.get('errorActions').classList.toggle('hidden', !retry && !cachedWord && !baseForm);
+    }
+
+    /**
+     * Say that the word on screen is a saved copy, not a fresh lookup
+     * @param {number} fetchedAt - When the copy was saved
+     */
+    showSavedCopyNotice(fetchedAt) {
+        const saved = new Date(fetchedAt).toLocaleString(undefined, {
+            dateStyle: 'medium',
+            timeStyle: 'short',
+        });
+        const notice = this.dom.get('savedCopyNotice');
+        notice.textContent = `📦 Saved copy from ${saved} - the dictionary couldn't be reached for a fresh one.`;
+        notice.classList.remove('hidden');
+    }
+
+    /**
+     * Hide error message
+     */
+    hideError() {
+        this.dom.get('errorContainer').classList.add('hidden');
+    }
+
+    /**
+     * Show or hide the offline indicator
+     * @param {boolean} isOnline - Current connection status
+     */
+    updateConnectionStatus(isOnline) {
+        this.dom.get('offlineBanner').classList.toggle('hidden', isOnline);
+    }
+
+    /**
+     * Show the update-available prompt
+     */
+    showUpdatePrompt() {
+        this.dom.get('updateBanner').classList.remove('hidden');
+    }
+
+    /**
+     * Hide the update-available prompt
+     */
+    hideUpdatePrompt() {
+        this.dom.get('updateBanner').classList.add('hidden');
+    }
+
+    /**
+     * Show or hide the "storage is full" warning
+     * @param {boolean} visible - Whether to show it
+     */
+    toggleStorageWarning(visible) {
+        this.dom.get('storageBanner').classList.toggle('hidden', !visible);
+    }
+
+    /**
+     * Render word data to the UI
+     * @param {Object} wordData - Word data ({ word, entries })
+     * @param {boolean} isFavorite - Whether word is favorited
+     */
+    renderWord(wordData, isFavorite) {
+        this.entries = wordData.entries;
+        this.dom.get('savedCopyNotice').classList.add('hidden');
+
+        // Update word title
+        this.dom.get('wordTitle').textContent = Utils.capitalize(wordData.word);
+
+        // Update favorite button
+        this.updateFavoriteButton(isFavorite);
+
+        // Render every homograph entry under the headword
+        this.renderEntries(this.entries);
+        this.renderEntryNav(this.entries);
+
+        // Phonetics, audio, origin and sources follow the selected entry
+        this.selectEntry(0);
+
+        // Summary of related words across all meanings (each definition shows its own)
+        const meanings = this.entries.flatMap(entry => entry.meanings);
+        this.renderRelatedWords(
+            DictionaryAPI.groupRelated(meanings, 'synonyms'),
+            DictionaryAPI.groupRelated(meanings, 'antonyms')
+        );
+
+        // Show word display
+        this.dom.get('wordDisplay').classList.remove('hidden');
+        this.hideLoading();
+        this.hideError();
+
+        // Scroll to word display on mobile
+        if (window.innerWidth < 768) {
+            this.dom.get('wordDisplay').scrollIntoView({ 
+                behavior: 'smooth', 
+                block: 'start' 
+            });
+        }
+    }
+
+    /**
+     * Select an entry: update phonetics, audio, origin and attribution
+     * @param {number} index - Entry index
+     */
+    selectEntry(index) {
+        const entry = this.entries[index];
+        if (!entry) return;
+
+        this.selectedEntry = index;
+
+        // Pronunciation variants, each with its own play button
+        this.renderPhonetics(entry);
+
+        // Origin, sources and license - cleared when the entry has none
+        this.renderOrigin(entry.origin);
+        this.renderAttribution(entry);
+
+        // Highlight the selected entry
+        this.dom.get('entryNav').querySelectorAll('.entry-nav-btn').forEach((btn, i) => {
+            btn.classList.toggle('active', i === index);
+            btn.setAttribute('aria-current', i === index ? 'true' : 'false');
+        });
+        this.dom.get('meaningsContainer').querySelectorAll('.entry-section').forEach((section, i) => {
+            section.classList.toggle('active', i === index);
+        });
+    }
+
+    /**
+     * Show an entry's etymology
+     * @param {string} origin - Origin text ('' hides the line)
+     */
+    renderOrigin(origin) {
+        this.dom.get('wordOriginText').textContent = origin;
+        this.dom.get('wordOrigin').classList.toggle('hidden', !origin);
+    }
+
+    /**
+     * Render every source link and the license of an entry in the footer
+     * @param {Object} entry - Dictionary entry
+     */
+    renderAttribution(entry) {
+        const list = this.dom.get('sourceLinks');
+        const license = this.dom.get('entryLicense');
+        list.innerHTML = '';
+        license.innerHTML = '';
+
+        entry.sourceUrls.forEach(url => {
+            const item = document.createElement('li');
+            const link = document.createElement('a');
+            link.className = 'source-link';
+            link.href = url;
+            link.target = '_blank';
+            link.rel = 'noopener noreferrer';
+            link.textContent = this.describeSource(url);
+            item.appendChild(link);
+            list.appendChild(item);
+        });
+
+        if (entry.license) {
+            license.append('License: ');
+            if (entry.license.url) {
+                const link = document.createElement('a');
+                link.href = entry.license.url;
+                link.target = '_blank';
+                link.rel = 'noopener noreferrer';
+                link.textContent = entry.license.name;
+                license.appendChild(link);
+            } else {
+                license.append(entry.license.name);
+            }
+        }
+
+        this.dom.get('sourceLabel').textContent = entry.sourceUrls.length > 1 ? 'Sources:' : 'Source:';
+        this.dom.get('sourceLabel').classList.toggle('hidden', entry.sourceUrls.length === 0);
+        license.classList.toggle('hidden', !entry.license);
+        this.dom.get('wordFooter').classList.toggle('hidden', entry.sourceUrls.length === 0 && !entry.license);
+    }
+
+    /**
+     * Label a source link, e.g. "Wiktionary: light" or "example.org"
+     * @param {string} url - Source URL
+     * @returns {string} Link text
+     */
+    describeSource(url) {
+        const { hostname, pathname } = new URL(url);
+        const host = hostname.replace(/^www\./, '');
+
+        if (!host.endsWith('wiktionary.org')) return host;
+
+        const page = pathname.split('/').filter(Boolean).pop();
+        if (!page) return 'Wiktionary';
+
+        try {
+            return `Wiktionary: ${decodeURIComponent(page).replace(/_/g, ' ')}`;
+        } catch (error) {
+            return 'Wiktionary'; // Malformed escape sequence
+        }
+    }
+
+    /**
+     * Render the entry switcher (only shown for homographs)
+     * @param {Array} entries - Entries for the headword
+     */
+    renderEntryNav(entries) {
+        const nav = this.dom.get('entryNav');
+        nav.innerHTML = '';
+
+        if (entries.length < 2) {
+            nav.classList.add('hidden');
+            return;
+        }
+
+        entries.forEach((entry, index) => {
+            const btn = document.createElement('button');
+            btn.type = 'button';
+            btn.className = 'entry-nav-btn';
+            btn.innerHTML = `<span class="entry-number">${index + 1}</span>`;
+
+            const label = document.createElement('span');
+            label.textContent = this.describeEntry(entry);
+            btn.appendChild(label);
+
+            btn.addEventListener('click', () => this.jumpToEntry(index));
+            nav.appendChild(btn);
+        });
+
+        nav.classList.remove('hidden');
+    }
+
+    /**
+     * Select an entry and scroll it into view
+     * @param {number} index - Entry index
+     */
+    jumpToEntry(index) {
+        this.selectEntry(index);
+
+        const section = document.getElementById(`entry-${index + 1}`);
+        if (section) {
+            section.scrollIntoView({ behavior: 'smooth', block: 'start' });
+        }
+    }
+
+    /**
+     * Summarize an entry by its parts of speech
+     * @param {Object} entry - Entry
+     * @returns {string} e.g. "noun, verb"
+     */
+    describeEntry(entry) {
+        const parts = [...new Set(entry.meanings.map(m => m.partOfSpeech).filter(Boolean))];
+        return parts.join(', ') || 'entry';
+    }
+
+    /**
+     * Render entries - a single entry renders its meanings directly,
+     * homographs get one section each
+     * @param {Array} entries - Entries for the headword
+     */
+    renderEntries(entries) {
+        if (entries.length === 1) {
+            this.renderMeanings(entries[0].meanings);
+            return;
+        }
+
+        const container = this.dom.get('meaningsContainer');
+        container.innerHTML = '';
+
+        entries.forEach((entry, index) => {
+            container.appendChild(this.createEntrySection(entry, index, entries.length));
+        });
+    }
+
+    /**
+     * Create a section for one homograph entry
+     * @param {Object} entry - Entry
+     * @param {number} index - Entry index
+     * @param {number} total - Number of entries
+     * @returns {HTMLElement} Entry section element
+     */
+    createEntrySection(entry, index, total) {
+        const section = document.createElement('section');
+        section.className = 'entry-section';
+        section.id = `entry-${index + 1}`;
+        section.setAttribute('aria-label', `Entry ${index + 1} of ${total}`);
+
+        // Entry header: number, phonetic, listen, source
+        const header = document.createElement('div');
+        header.className = 'entry-header';
+
+        const number = document.createElement('span');
+        number.className = 'entry-number';
+        number.textContent = index + 1;
+        header.appendChild(number);
+
+        const phonetic = entry.phonetic || entry.phonetics.find(p => p.text)?.text;
+        if (phonetic) {
+            const phoneticEl = document.createElement('span');
+            phoneticEl.className = 'entry-phonetic';
+            phoneticEl.textContent = phonetic;
+            header.appendChild(phoneticEl);
+        }
+
+        // Same pick as the header: the first variant with a recording
+        const recording = DictionaryAPI.extractPronunciations(entry).find(variant => variant.audio);
+        if (recording) {
+            const listenBtn = document.createElement('button');
+            listenBtn.type = 'button';
+            listenBtn.className = 'entry-listen-btn';
+            listenBtn.textContent = '🔊';
+            listenBtn.setAttribute('aria-label', `Play pronunciation for entry ${index + 1}`);
+            listenBtn.addEventListener('click', () => {
+                this.selectEntry(index);
+                Array.from(this.dom.get('phoneticsContainer').querySelectorAll('.audio-btn'))
+                    .find(btn => btn.dataset.audio === recording.audio)
+                    ?.click();
+            });
+            header.appendChild(listenBtn);
+        }
+
+        if (entry.sourceUrls.length) {
+            const source = document.createElement('a');
+            source.className = 'entry-source';
+            source.href = entry.sourceUrls[0];
+            source.target = '_blank';
+            source.rel = 'noopener noreferrer';
+            source.textContent = 'Source';
+            header.appendChild(source);
+        }
+
+        section.appendChild(header);
+
+        entry.meanings.forEach(meaning => {
+            section.appendChild(this.createMeaningSection(meaning));
+        });
+
+        return section;
+    }
+
+    /**
+     * Render every pronunciation variant of an entry
+     * @param {Object} entry - Dictionary entry
+     */
+    renderPhonetics(entry) {
+        const container = this.dom.get('phoneticsContainer');
+        const variants = DictionaryAPI.extractPronunciations(entry);
+
+        this.player.stop();
+        this.speech.stop();
+        this.lastPronunciation = null;
+        container.innerHTML = '';
+
+        variants.forEach(variant => {
+            container.appendChild(this.createPronunciationVariant(variant));
+        });
+
+        const hasRecordings = variants.some(variant => variant.audio);
+        this.dom.get('playbackControls').classList.toggle('hidden', !hasRecordings);
+
+        // No recordings: let the browser say the headword instead
+        if (!hasRecordings && SpeechManager.isSupported()) {
+            container.appendChild(this.createSpeechVariant(entry.word));
+        }
+    }
+
+    /**
+     * Play the last pronunciation again, or the first one
+     * @returns {boolean} True if there was something to play
+     */
+    playPronunciation() {
+        const container = this.dom.get('phoneticsContainer');
+        const btn = this.lastPronunciation || container.querySelector('.audio-btn');
+        if (!btn) return false;
+
+        this.lastPronunciation = btn;
+
+        if (btn.dataset.audio) {
+            this.speech.stop();
+            this.player.play(btn.dataset.audio, btn);
+        } else {
+            this.player.stop();
+            this.speech.speak(btn.dataset.text, btn);
+        }
+        return true;
+    }
+
+    /**
+     * Reflect playback speed and repeat on the player and its controls
+     * @param {Object} settings - { playbackRate, loopAudio }
+     */
+    setPlaybackOptions({ playbackRate, loopAudio }) {
+        const controls = this.dom.get('playbackControls');
+
+        this.player.setRate(playbackRate);
+        this.player.setLoop(loopAudio);
+
+        controls.querySelectorAll('[data-rate]').forEach(btn => {
+            btn.setAttribute('aria-pressed', String(Number(btn.dataset.rate) === playbackRate));
+        });
+        this.dom.get('loopBtn').setAttribute('aria-pressed', String(loopAudio));
+    }
+
+    /**
+     * Create a synthesized pronunciation for words without recordings
+     * @param {string} word - Headword
+     * @returns {HTMLElement} Variant element
+     */
+    createSpeechVariant(word) {
+        const variant = document.createElement('div');
+        variant.className = 'pronunciation-variant speech-variant';
+
+        const btn = document.createElement('button');
+        btn.type = 'button';
+        btn.className = 'audio-btn speech-btn';
+        btn.dataset.text = word;
+        btn.title = 'No recording available - read by your browser\'s voice';
+        btn.setAttribute('aria-label', `Say "${word}" with speech synthesis`);
+        btn.innerHTML = `
+            <span class="audio-icon" aria-hidden="true">🗣️</span>
+            <span class="audio-status">Say it</span>
+        `;
+        btn.addEventListener('click', () => {
+            this.lastPronunciation = btn;
+            this.player.stop();
+            this.speech.toggle(word, btn);
+        });
+        variant.appendChild(btn);
+
+        return variant;
+    }
+
+    /**
+     * Create one pronunciation: accent label, IPA text and play button
+     * @param {Object} variant - { text, audio, accent }
+     * @returns {HTMLElement} Variant element
+     */
+    createPronunciationVariant({ text, audio, accent }) {
+        const variant = document.createElement('div');
+        variant.className = 'pronunciation-variant';
+
+        if (accent) {
+            const label = document.createElement('span');
+            label.className = 'accent-label';
+            label.textContent = accent.label;
+            label.title = `${accent.name} pronunciation`;
+            variant.appendChild(label);
+        }
+
+        if (text) {
+            const phonetic = document.createElement('span');
+            phonetic.className = 'phonetic-text';
+            phonetic.textContent = text;
+            variant.appendChild(phonetic);
+        }
+
+        if (audio) {
+            const description = accent ? `${accent.name} pronunciation` : 'pronunciation';
+            const btn = document.createElement('button');
+            btn.type = 'button';
+            btn.className = 'audio-btn';
+            btn.dataset.audio = audio;
+            btn.title = `Listen to the ${description}`;
+            btn.setAttribute('aria-label', `Play ${description}`);
+            btn.innerHTML = `
+                <span class="audio-icon" aria-hidden="true">🔊</span>
+                <span class="audio-status">Listen</span>
+            `;
+            btn.addEventListener('click', () => {
+                this.lastPronunciation = btn;
+                this.speech.stop();
+                this.player.toggle(audio, btn);
+            });
+            variant.appendChild(btn);
+        }
+
+        return variant;
+    }
+
+    /**
+     * Render word meanings (parts of speech and definitions)
+     * @param {Array} meanings - Meanings array
+     */
+    renderMeanings(meanings) {
+        const container = this.dom.get('meaningsContainer');
+        container.innerHTML = '';
+
+        meanings.forEach(meaning => {
+            const meaningSection = this.createMeaningSection(meaning);
+            container.appendChild(meaningSection);
+        });
+    }
+
+    /**
+     * Create a meaning section element
+     * @param {Object} meaning - Meaning object
+     * @returns {HTMLElement} Meaning section element
+     */
+    createMeaningSection(meaning) {
+        const section = document.createElement('div');
+        section.className = 'meaning-section';
+
+        // Part of speech badge
+        const badge = document.createElement('span');
+        badge.className = 'part-of-speech';
+        badge.textContent = meaning.partOfSpeech;
+        section.appendChild(badge);
+
+        // Definitions list
+        const list = document.createElement('ol');
+        list.className = 'definitions-list';
+
+        meaning.definitions.forEach(def => {
+            const item = this.createDefinitionItem(def);
+            list.appendChild(item);
+        });
+
+        section.appendChild(list);
+
+        // Related words given for the part of speech as a whole
+        const related = this.createRelatedWords(meaning);
+        if (related) {
+            related.classList.add('meaning-related');
+            section.appendChild(related);
+        }
+
+        return section;
+    }
+
+    /**
+     * Create a definition item element
+     * @param {Object} definition - Definition object
+     * @returns {HTMLElement} Definition item element
+     */
+    createDefinitionItem(definition) {
+        const item = document.createElement('li');
+        item.className = 'definition-item';
+
+        // Definition text
+        const defText = document.createElement('div');
+        defText.className = 'definition-text';
+        this.appendLinkedText(defText, definition.definition);
+        this.appendReadAloudButton(defText, definition.definition, 'definition');
+        item.appendChild(defText);
+
+        // Example (if available)
+        if (definition.example) {
+            const example = document.createElement('div');
+            example.className = 'example-text';
+            this.appendLinkedText(example, definition.example);
+            this.appendReadAloudButton(example, definition.example, 'example');
+            item.appendChild(example);
+        }
+
+        // Related words for this sense only
+        const related = this.createRelatedWords(definition);
+        if (related) {
+            item.appendChild(related);
+        }
+
+        return item;
+    }
+
+    /**
+     * Create the synonym and antonym rows for a meaning or definition
+     * @param {Object} item - Meaning or definition
+     * @returns {HTMLElement|null} Related words element, or null if there are none
+     */
+    createRelatedWords(item) {
+        const rows = [
+            { label: 'Similar', key: 'synonyms' },
+            { label: 'Opposite', key: 'antonyms' }
+        ]
+            .map(({ label, key }) => ({ label, words: DictionaryAPI.relatedWords(item, key) }))
+            .filter(row => row.words.length > 0);
+
+        if (rows.length === 0) return null;
+
+        const related = document.createElement('div');
+        related.className = 'definition-related';
+
+        rows.forEach(({ label, words }) => {
+            const row = document.createElement('div');
+            row.className = 'definition-related-row';
+
+            const labelEl = document.createElement('span');
+            labelEl.className = 'definition-related-label';
+            labelEl.textContent = label;
+            row.appendChild(labelEl);
+
+            const list = document.createElement('div');
+            list.className = 'related-words-list';
+            this.renderWordTags(list, words);
+            row.appendChild(list);
+
+            related.appendChild(row);
+        });
+
+        return related;
+    }
+
+    /**
+     * Add text whose words can be clicked to look them up. Only the first
+     * word is a tab stop; arrow keys move between words (see moveWordLinkFocus).
+     * @param {HTMLElement} container - Element to fill
+     * @param {string} text - Definition or example
+     */
+    appendLinkedText(container, text) {
+        const headword = this.entries[0]?.word.toLowerCase();
+        let isFirst = true;
+
+        WordLinker.tokenize(text).forEach(({ text: part, word }) => {
+            if (!word || word === headword) {
+                container.appendChild(document.createTextNode(part));
+                return;
+            }
+
+            const link = document.createElement('span');
+            link.className = 'word-link';
+            link.textContent = part;
+            link.dataset.word = word;
+            link.setAttribute('role', 'link');
+            link.setAttribute('tabindex', isFirst ? '0' : '-1');
+            container.appendChild(link);
+            isFirst = false;
+        });
+    }
+
+    /**
+     * Move keyboard focus between the words of one definition or example
+     * @param {HTMLElement} link - Focused word
+     * @param {number} step - 1 for next, -1 for previous
+     */
+    moveWordLinkFocus(link, step) {
+        const links = Array.from(link.parentElement.querySelectorAll(':scope > .word-link'));
+        const next = links[links.indexOf(link) + step];
+        if (!next) return;
+
+        link.setAttribute('tabindex', '-1');
+        next.setAttribute('tabindex', '0');
+        next.focus();
+    }
+
+    /**
+     * Show the chain of words followed from definitions
+     * @param {Array<string>} trail - Words, oldest first; the last is on screen
+     */
+    renderTrail(trail) {
+        const nav = this.dom.get('wordTrail');
+        const list = this.dom.get('wordTrailList');
+
+        list.innerHTML = '';
+        nav.classList.toggle('hidden', trail.length < 2);
+
+        trail.forEach((word, index) => {
+            const item = document.createElement('li');
+            item.className = 'word-trail-item';
+
+            if (index === trail.length - 1) {
+                item.textContent = word;
+                item.setAttribute('aria-current', 'page');
+            } else {
+                const btn = document.createElement('button');
+                btn.type = 'button';
+                btn.className = 'word-trail-link';
+                btn.dataset.word = word;
+                btn.textContent = word;
+                item.appendChild(btn);
+            }
+
+            list.appendChild(item);
+        });
+    }
+
+    /**
+     * Add a read-aloud button after a definition or example
+     * @param {HTMLElement} container - Element holding the text
+     * @param {string} text - Text to read
+     * @param {string} kind - 'definition' or 'example' (for the label)
+     */
+    appendReadAloudButton(container, text, kind) {
+        if (!SpeechManager.isSupported()) return;
+
+        const btn = document.createElement('button');
+        btn.type = 'button';
+        btn.className = 'read-aloud-btn';
+        btn.textContent = '🔈';
+        btn.title = `Read ${kind} aloud`;
+        btn.setAttribute('aria-label', `Read ${kind} aloud`);
+        btn.addEventListener('click', () => {
+            this.player.stop();
+            this.speech.toggle(text, btn);
+        });
+
+        container.appendChild(document.createTextNode(' '));
+        container.appendChild(btn);
+    }
+
+    /**
+     * Render the related words summary (synonyms and antonyms by part of speech)
+     * @param {Array<Object>} synonyms - [{ partOfSpeech, words }]
+     * @param {Array<Object>} antonyms - [{ partOfSpeech, words }]
+     */
+    renderRelatedWords(synonyms, antonyms) {
+        const synonymsContainer = this.dom.get('synonymsContainer');
+        const antonymsContainer = this.dom.get('antonymsContainer');
+
+        // Render synonyms
+        if (synonyms.length > 0) {
+            this.renderRelatedGroups(this.dom.get('synonymsList'), synonyms);
+            synonymsContainer.classList.remove('hidden');
+        } else {
+            synonymsContainer.classList.add('hidden');
+        }
+
+        // Render antonyms
+        if (antonyms.length > 0) {
+            this.renderRelatedGroups(this.dom.get('antonymsList'), antonyms);
+            antonymsContainer.classList.remove('hidden');
+        } else {
+            antonymsContainer.classList.add('hidden');
+        }
+
+        const count = new Set([...synonyms, ...antonyms].flatMap(group => group.words)).size;
+        this.dom.get('relatedWordsCount').textContent = count;
+        this.dom.get('relatedWordsSummary').classList.toggle('hidden', count === 0);
+    }
+
+    /**
+     * Render related words under a label for each part of speech
+     * @param {HTMLElement} container - Container element
+     * @param {Array<Object>} groups - [{ partOfSpeech, words }]
+     */
+    renderRelatedGroups(container, groups) {
+        container.innerHTML = '';
+
+        groups.forEach(({ partOfSpeech, words }) => {
+            const group = document.createElement('div');
+            group.className = 'related-group';
+
+            const label = document.createElement('span');
+            label.className = 'related-group-label';
+            label.textContent = partOfSpeech;
+            group.appendChild(label);
+
+            const list = document.createElement('div');
+            list.className = 'related-words-list';
+            this.renderWordTags(list, words);
+            group.appendChild(list);
+
+            container.appendChild(group);
+        });
+    }
+
+    /**
+     * Render word tags (clickable related words)
+     * @param {HTMLElement} container - Container element
+     * @param {Array<string>} words - Words array
+     */
+    renderWordTags(container, words) {
+        container.innerHTML = '';
+
+        words.forEach(word => {
+            const tag = document.createElement('span');
+            tag.className = 'word-tag';
+            tag.textContent = word;
+            tag.setAttribute('role', 'button');
+            tag.setAttribute('tabindex', '0');
+            tag.addEventListener('click', () => this.onWordTagClick(word));
+            tag.addEventListener('keypress', (e) => {
+                if (e.key === 'Enter' || e.key === ' ') {
+                    e.preventDefault();
+                    this.onWordTagClick(word);
+                }
+            });
+            container.appendChild(tag);
+        });
+    }
+
+    /**
+     * Handle word tag click - to be overridden by app
+     * @param {string} word - Word that was clicked
+     */
+    onWordTagClick(word) {
+        // This will be overridden by the WordlyApp
+        console.log('Word tag clicked:', word);
+    }
+
+    /**
+     * Update favorite button state
+     * @param {boolean} isFavorite - Whether word is favorited
+     */
+    updateFavoriteButton(isFavorite) {
+        const btn = this.dom.get('favoriteBtn');
+        const icon = btn.querySelector('.star-icon');
+
+        if (isFavorite) {
+            btn.classList.add('active');
+            icon.textContent = '★';
+            btn.setAttribute('aria-label', 'Remove from favorites');
+        } else {
+            btn.classList.remove('active');
+            icon.textContent = '☆';
+            btn.setAttribute('aria-label', 'Add to favorites');
+        }
+    }
+
+    /**
+     * Render sidebar list
+     * @param {HTMLElement} listElement - List element
+     * @param {Array<string|Object>} items - Words, or records with a `word` property
+     * @param {string} emptyMessage - Message when list is empty
+     * @param {Object} [options] - Rendering options
+     * @param {Function} [options.renderItem] - Fills in an item's content (defaults to the word)
+     * @param {Function} [options.groupBy] - Returns a group label; a header starts each new group
+     * @param {boolean} [options.itemIsButton=true] - Make the whole item a button (false when
+     *   renderItem adds its own controls, which mustn't nest inside one)
+     */
+    renderSidebarList(listElement, items, emptyMessage, { renderItem = null, groupBy = null, itemIsButton = true } = {}) {
+        listElement.innerHTML = '';
+
+        if (items.length === 0) {
+            const emptyItem = document.createElement('li');
+            emptyItem.className = 'sidebar-list-empty';
+            emptyItem.textContent = emptyMessage;
+            listElement.appendChild(emptyItem);
+            return;
+        }
+
+        let currentGroup = null;
+
+        items.forEach(item => {
+            if (groupBy) {
+                const group = groupBy(item);
+                if (group !== currentGroup) {
+                    currentGroup = group;
+                    const header = document.createElement('li');
+                    header.className = 'sidebar-list-group';
+                    header.setAttribute('role', 'presentation');
+                    header.textContent = group;
+                    listElement.appendChild(header);
+                }
+            }
+
+            const word = typeof item === 'string' ? item : item.word;
+            const li = document.createElement('li');
+            li.className = 'sidebar-list-item';
+            li.dataset.word = word;
+            if (itemIsButton) {
+                li.setAttribute('role', 'button');
+                li.setAttribute('tabindex', '0');
+            }
+
+            if (renderItem) {
+                renderItem(li, item);
+            } else {
+                li.textContent = Utils.capitalize(word);
+            }
+
+            listElement.appendChild(li);
+        });
+    }
+
+    /**
+     * Fill in a history list item: a button with the word, lookup count and
+     * time, and a delete button beside it
+     * @param {HTMLElement} li - List item
+     * @param {Object} entry - History entry
+     */
+    renderHistoryItem(li, entry) {
+        li.classList.add('history-item');
+
+        const open = document.createElement('button');
+        open.type = 'button';
+        open.className = 'history-item-open';
+        open.dataset.word = entry.word;
+
+        const word = document.createElement('span');
+        word.className = 'history-item-word';
+        word.textContent = Utils.capitalize(entry.word);
+        open.appendChild(word);
+
+        const meta = document.createElement('span');
+        meta.className = 'history-item-meta';
+        const parts = [entry.count === 1 ? '1 lookup' : `${entry.count} lookups`];
+        if (entry.lastSearched !== null) {
+            parts.push(new Date(entry.lastSearched).toLocaleTimeString(undefined, {
+                hour: 'numeric',
+                minute: '2-digit',
+            }));
+        }
+        meta.textContent = parts.join(' · ');
+        open.appendChild(meta);
+        li.appendChild(open);
+
+        const remove = document.createElement('button');
+        remove.type = 'button';
+        remove.className = 'history-delete-btn';
+        remove.dataset.word = entry.word;
+        remove.setAttribute('aria-label', `Remove "${entry.word}" from history`);
+        remove.title = 'Remove from history';
+        remove.textContent = '✕';
+        li.appendChild(remove);
+    }
+
+    /**
+     * Fill in a favorites list item: word, date, collections, note and tags
+     * @param {HTMLElement} li - List item
+     * @param {Object} record - Favorite record
+     * @param {Array<Object>} collections - All collections
+     */
+    renderFavoriteItem(li, record, collections) {
+        li.classList.add('favorite-item');
+
+        const word = document.createElement('span');
+        word.className = 'favorite-item-word';
+        word.textContent = Utils.capitalize(record.word);
+        li.appendChild(word);
+
+        const names = collections
+            .filter(collection => record.collections.includes(collection.id))
+            .map(collection => collection.name);
+        const meta = document.createElement('span');
+        meta.className = 'favorite-item-meta';
+        meta.textContent = [
+            `Added ${new Date(record.addedAt).toLocaleDateString()}`,
+            ...names
+        ].join(' · ');
+        li.appendChild(meta);
+
+        if (record.note) {
+            const note = document.createElement('span');
+            note.className = 'favorite-item-note';
+            note.textContent = record.note;
+            li.appendChild(note);
+        }
+
+        if (record.tags.length) {
+            const tags = document.createElement('span');
+            tags.className = 'favorite-item-tags';
+            record.tags.forEach(tag => {
+                const chip = document.createElement('span');
+                chip.className = 'tag-chip';
+                chip.dataset.tag = tag;
+                chip.textContent = `#${tag}`;
+                chip.title = `Show words tagged "${tag}"`;
+                tags.appendChild(chip);
+            });
+            li.appendChild(tags);
+        }
+    }
+
+    /**
+     * Render the collection selector and actions in the favorites sidebar
+     * @param {Array<Object>} collections - All collections
+     * @param {Array<Object>} favorites - Favorite records (for counts)
+     * @param {Object} filter - Active filter ({ collectionId, tag })
+     */
+    renderCollectionControls(collections, favorites, filter) {
+        const select = this.dom.get('collectionSelect');
+        select.innerHTML = '';
+
+        const options = [
+            { id: FavoritesModel.ALL, name: 'All favorites', count: favorites.length },
+            ...collections.map(collection => ({
+                ...collection,
+                count: FavoritesModel.countIn(favorites, collection.id)
+            }))
+        ];
+
+        options.forEach(({ id, name, count }) => {
+            const option = document.createElement('option');
+            option.value = id;
+            option.textContent = `${name} (${count})`;
+            select.appendChild(option);
+        });
+        select.value = filter.collectionId;
+
+        // Only real collections can be renamed or deleted
+        const isCollection = filter.collectionId !== FavoritesModel.ALL;
+        this.dom.get('renameCollectionBtn').disabled = !isCollection;
+        this.dom.get('deleteCollectionBtn').disabled = !isCollection;
+
+        // Tag filter indicator
+        this.dom.get('tagFilter').classList.toggle('hidden', !filter.tag);
+        this.dom.get('tagFilterName').textContent = filter.tag ? `#${filter.tag}` : '';
+    }
+
+    /**
+     * Fill in and open the favorite picker for the current word
+     * @param {Object|undefined} record - Favorite record (undefined if not saved yet)
+     * @param {Array<Object>} collections - All collections
+     */
+    showFavoritePicker(record, collections) {
+        this.renderPickerCollections(record, collections);
+
+        this.renderPickerStatus(record);
+
+        this.dom.get('pickerTagsInput').value = record ? record.tags.join(', ') : '';
+        this.dom.get('pickerNoteInput').value = record ? record.note : '';
+
+        this.dom.get('favoritePicker').classList.remove('hidden');
+        this.dom.get('collectionPickerBtn').setAttribute('aria-expanded', 'true');
+        this.dom.get('pickerTagsInput').focus();
+    }
+
+    /**
+     * Show whether the word is saved, and since when, in the favorite picker
+     * @param {Object|undefined} record - Favorite record
+     */
+    renderPickerStatus(record) {
+        this.dom.get('pickerAddedAt').textContent = record
+            ? `Added ${new Date(record.addedAt).toLocaleDateString()}`
+            : 'Not saved yet';
+        this.dom.get('pickerRemoveBtn').classList.toggle('hidden', !record);
+        this.dom.get('pickerDoneBtn').textContent = record ? 'Done' : 'Save';
+    }
+
+    /**
+     * Render the collection checkboxes in the favorite picker
+     * @param {Object|undefined} record - Favorite record
+     * @param {Array<Object>} collections - All collections
+     */
+    renderPickerCollections(record, collections) {
+        const container = this.dom.get('pickerCollections');
+        container.innerHTML = '';
+
+        if (collections.length === 0) {
+            const empty = document.createElement('p');
+            empty.className = 'picker-meta';
+            empty.textContent = 'No collections yet - create one below.';
+            container.appendChild(empty);
+            return;
+        }
+
+        collections.forEach(collection => {
+            const label = document.createElement('label');
+            label.className = 'picker-collection';
+
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.value = collection.id;
+            checkbox.checked = Boolean(record?.collections.includes(collection.id));
+            label.appendChild(checkbox);
+
+            label.appendChild(document.createTextNode(` ${collection.name}`));
+            container.appendChild(label);
+        });
+    }
+
+    /**
+     * Close the favorite picker
+     */
+    hideFavoritePicker() {
+        this.dom.get('favoritePicker').classList.add('hidden');
+        this.dom.get('collectionPickerBtn').setAttribute('aria-expanded', 'false');
+    }
+
+    /**
+     * Check if the favorite picker is open
+     * @returns {boolean} True if open
+     */
+    isFavoritePickerOpen() {
+        return !this.dom.get('favoritePicker').classList.contains('hidden');
+    }
+}
+
+// ===== THEME MANAGER =====
+
+/**
+ * Theme manager for dark/light mode
+ */
+class ThemeManager {
+    constructor(domManager) {
+        this.dom = domManager;
+        this.isDark = false;
+    }
+
+    /**
+     * Initialize theme from storage
+     */
+    initialize() {
+        this.isDark = StorageSchema.load(STORAGE_KEYS.THEME, false);
+        this.apply();
+    }
+
+    /**
+     * Toggle theme
+     */
+    toggle() {
+        this.isDark = !this.isDark;
+        this.apply();
+        StorageManager.save(STORAGE_KEYS.THEME, this.isDark);
+    }
+
+    /**
+     * Apply current theme
+     */
+    apply() {
+        const icon = this.dom.get('themeToggle').querySelector('.theme-icon');
+
+        if (this.isDark) {
+            document.documentElement.setAttribute('data-theme', 'dark');
+            icon.textContent = '☀️';
+        } else {
+            document.documentElement.removeAttribute('data-theme');
+            icon.textContent = '🌙';
+        }
+    }
+}
+
+// ===== SIDEBAR MANAGER =====
+
+/**
+ * Sidebar manager for history and favorites
+ */
+class SidebarManager {
+    constructor(domManager) {
+        this.dom = domManager;
+        this.activeSidebar = null;
+    }
+
+    /**
+     * Show history sidebar
+     */
+    showHistory() {
+        this.show(this.dom.get('historySidebar'));
+    }
+
+    /**
+     * Show favorites sidebar
+     */
+    showFavorites() {
+        this.show(this.dom.get('favoritesSidebar'));
+    }
+
+    /**
+     * Show a specific sidebar
+     * @param {HTMLElement} sidebar - Sidebar element
+     */
+    show(sidebar) {
+        this.closeAll();
+        this.activeSidebar = sidebar;
+        sidebar.classList.remove('hidden');
+        sidebar.classList.add('active');
+        this.dom.get('sidebarOverlay').classList.remove('hidden');
+        document.body.style.overflow = 'hidden';
+    }
+
+    /**
+     * Close all sidebars
+     */
+    closeAll() {
+        const sidebars = [
+            this.dom.get('historySidebar'),
+            this.dom.get('favoritesSidebar')
+        ];
+
+        sidebars.forEach(sidebar => {
+            sidebar.classList.remove('active');
+        });
+
+        this.dom.get('sidebarOverlay').classList.add('hidden');
+        document.body.style.overflow = '';
+
+        // Hide after animation
+        setTimeout(() => {
+            sidebars.forEach(sidebar => {
+                if (!sidebar.classList.contains('active')) {
+                    sidebar.classList.add('hidden');
+                }
+            });
+        }, 300);
+
+        this.activeSidebar = null;
+    }
+
+    /**
+     * Check if any sidebar is open
+     * @returns {boolean} True if sidebar is open
+     */
+    isOpen() {
+        return this.activeSidebar !== null;
+    }
+}
+
+// ===== SERVICE WORKER MANAGER =====
+
+/**
+ * Service worker registration and update handling
+ */
+class ServiceWorkerManager {
+    constructor() {
+        this.registration = null;
+        this.isReloading = false;
+    }
+
+    /**
+     * Check if service workers can be used on this page
+     * @returns {boolean} Availability status
+     */
+    static isSupported() {
+        return 'serviceWorker' in navigator && window.isSecureContext;
+    }
+
+    /**
+     * Register the service worker and watch for updates
+     * @param {Function} onUpdateAvailable - Called when a new version is waiting
+     */
+    async register(onUpdateAvailable) {
+        if (!ServiceWorkerManager.isSupported()) return;
+
+        try {
+            this.registration = await navigator.serviceWorker.register(SW_CONFIG.SCRIPT_URL);
+        } catch (error) {
+            console.error('Service worker registration failed:', error);
+            return;
+        }
+
+        // An update may already be waiting from a previous visit
+        if (this.registration.waiting && navigator.serviceWorker.controller) {
+            onUpdateAvailable();
+        }
+
+        this.registration.addEventListener('updatefound', () => {
+            const worker = this.registration.installing;
+            if (!worker) return;
+
+            worker.addEventListener('statechange', () => {
+                // Only prompt when replacing an existing version, not on first install
+                if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+                    onUpdateAvailable();
+                }
+            });
+        });
+
+        // Reload once the new worker has taken control
+        navigator.serviceWorker.addEventListener('controllerchange', () => {
+            if (this.isReloading) return;
+            this.isReloading = true;
+            window.location.reload();
+        });
+
+        // Long-lived tabs (installed app) should still see new releases
+        setInterval(() => {
+            this.registration.update().catch(() => {});
+        }, SW_CONFIG.UPDATE_CHECK_INTERVAL);
+    }
+
+    /**
+     * Activate the waiting service worker (the page reloads on controllerchange)
+     */
+    applyUpdate() {
+        const waiting = this.registration?.waiting;
+        if (waiting) {
+            waiting.postMessage({ type: 'SKIP_WAITING' });
+        } else {
+            window.location.reload();
+        }
+    }
+}
+
+// ===== ROUTER =====
+
+/**
+ * Hash-based router so the current word and view live in the URL
+ */
+class Router {
+    constructor() {
+        this.onRoute = null;
+    }
+
+    /**
+     * Parse a location hash into a route
+     * @param {string} hash - Location hash (e.g. "#/word/serendipity")
+     * @returns {Object} Route ({ view, word? }); view is null for unknown hashes
+     */
+    static parse(hash) {
+        const [view, ...rest] = hash.replace(/^#\/?/, '').split('/');
+
+        if (view === ROUTES.WORD) {
+            let word = '';
+            try {
+                word = decodeURIComponent(rest.join('/')).trim();
+            } catch (error) {
+                // Malformed escape sequence - treat as an unknown route
+            }
+            return word ? { view, word } : { view: null };
+        }
+
+        if (Object.values(ROUTES).includes(view)) {
+            return { view };
+        }
+
+        return { view: null };
+    }
+
+    /**
+     * Build the hash for a route
+     * @param {Object} route - Route ({ view, word? })
+     * @returns {string} Location hash
+     */
+    static toHash(route) {
+        if (route.view === ROUTES.WORD) {
+            return `#/${ROUTES.WORD}/${encodeURIComponent(route.word)}`;
+        }
+        return `#/${route.view}`;
+    }
+
+    /**
+     * Get the current route
+     * @returns {Object} Current route
+     */
+    current() {
+        return Router.parse(window.location.hash);
+    }
+
+    /**
+     * Listen for back/forward navigation
+     * @param {Function} onRoute - Called with the new route
+     */
+    start(onRoute) {
+        this.onRoute = onRoute;
+        window.addEventListener('popstate', () => {
+            this.onRoute(this.current());
+        });
+    }
+
+    /**
+     * Update the URL without triggering the route handler
+     * @param {Object} route - Route to navigate to
+     * @param {Object} [options] - Navigation options
+     * @param {boolean} [options.replace=false] - Replace the current history entry
+     * @param {Object} [options.state=null] - History state
+     */
+    navigate(route, { replace = false, state = null } = {}) {
+        const hash = Router.toHash(route);
+
+        if (!replace && hash === window.location.hash) return;
+
+        if (replace) {
+            history.replaceState(state, '', hash);
+        } else {
+            history.pushState(state, '', hash);
+        }
+    }
+}
+
+// ===== AUTOCOMPLETE =====
+
+/**
+ * Ranks suggestions for a partially typed word
+ */
+class SuggestionEngine {
+    /**
+     * Rank candidate words against a query
+     * @param {string} query - Typed text
+     * @param {Object<string, Array<string>>} sources - Words keyed by source
+     *   (favorites, history, cached, wordList)
+     * @param {number} [limit] - Maximum number of suggestions
+     * @returns {Array<{word: string, sources: Array<string>, score: number}>} Best matches first
+     */
+    static rank(query, sources, limit = AUTOCOMPLETE_CONFIG.MAX_SUGGESTIONS) {
+        const q = query.trim().toLowerCase();
+        if (!q) return [];
+
+        // Merge sources so each word appears once
+        const candidates = new Map();
+        Object.entries(sources).forEach(([source, words]) => {
+            words.forEach(word => {
+                const key = word.toLowerCase();
+                if (!candidates.has(key)) {
+                    candidates.set(key, []);
+                }
+                candidates.get(key).push(source);
+            });
+        });
+
+        const results = [];
+        candidates.forEach((wordSources, word) => {
+            const score = this.score(q, word);
+            if (score === null) return;
+
+            const boost = Math.max(
+                ...wordSources.map(source => AUTOCOMPLETE_CONFIG.SOURCE_BOOST[source] || 0)
+            );
+            results.push({ word, sources: wordSources, score: score + boost });
+        });
+
+        return results
+            .sort((a, b) => b.score - a.score || a.word.localeCompare(b.word))
+            .slice(0, limit);
+    }
+
+    /**
+     * Score a single word; prefix matches beat fuzzy matches
+     * @param {string} query - Lowercase query
+     * @param {string} word - Lowercase candidate
+     * @returns {number|null} Score, or null if the word doesn't match
+     */
+    static score(query, word) {
+        if (word === query) return null; // Nothing to complete
+
+        if (word.startsWith(query)) {
+            return 100 - (word.length - query.length);
+        }
+
+        if (query.length < AUTOCOMPLETE_CONFIG.MIN_FUZZY_LENGTH) return null;
+
+        // Compare against the word's prefix too, so "vocab" finds typos mid-word
+        const allowed = query.length <= 4 ? 1 : 2;
+        const distance = Math.min(
+            Utils.editDistance(query, word.slice(0, query.length)),
+            Utils.editDistance(query, word)
+        );
+
+        if (distance > allowed) return null;
+
+        return 50 - distance * 10 - Math.abs(word.length - query.length) * 0.5;
+    }
+}
+
+/**
+ * Suggestion dropdown for the search input (ARIA combobox pattern)
+ */
+class AutocompleteManager {
+    constructor(domManager) {
+        this.dom = domManager;
+        this.suggestions = [];
+        this.activeIndex = -1;
+        this.onSelect = null;
+    }
+
+    /**
+     * Wire up keyboard and mouse handling
+     * @param {Function} onSelect - Called with the chosen word
+     */
+    initialize(onSelect) {
+        this.onSelect = onSelect;
+        const input = this.dom.get('wordInput');
+        const list = this.dom.get('suggestionsList');
+
+        input.addEventListener('keydown', (e) => this.handleKeydown(e));
+        input.addEventListener('blur', () => this.close());
+
+        // mousedown (not click) so the input doesn't blur and close the list first
+        list.addEventListener('mousedown', (e) => {
+            const option = e.target.closest('.suggestion-item');
+            if (!option) return;
+            e.preventDefault();
+            this.select(Number(option.dataset.index));
+        });
+    }
+
+    /**
+     * Check if the dropdown is open
+     * @returns {boolean} True if suggestions are showing
+     */
+    isOpen() {
+        return this.suggestions.length > 0;
+    }
+
+    /**
+     * Show ranked suggestions
+     * @param {Array<Object>} suggestions - Results from SuggestionEngine.rank
+     * @param {string} query - Query the suggestions are for
+     */
+    show(suggestions, query) {
+        this.suggestions = suggestions;
+        this.activeIndex = -1;
+
+        if (suggestions.length === 0) {
+            this.close();
+            return;
+        }
+
+        const list = this.dom.get('suggestionsList');
+        list.innerHTML = '';
+
+        suggestions.forEach((suggestion, index) => {
+            list.appendChild(this.createOption(suggestion, index, query));
+        });
+
+        list.classList.remove('hidden');
+        this.dom.get('wordInput').setAttribute('aria-expanded', 'true');
+    }
+
+    /**
+     * Create a suggestion option element
+     * @param {Object} suggestion - Ranked suggestion
+     * @param {number} index - Position in the list
+     * @param {string} query - Typed text (highlighted when it's a prefix)
+     * @returns {HTMLElement} Option element
+     */
+    createOption(suggestion, index, query) {
+        const li = document.createElement('li');
+        li.className = 'suggestion-item';
+        li.id = `suggestion-${index}`;
+        li.dataset.index = index;
+        li.setAttribute('role', 'option');
+        li.setAttribute('aria-selected', 'false');
+
+        const icon = document.createElement('span');
+        icon.className = 'suggestion-icon';
+        icon.setAttribute('aria-hidden', 'true');
+        icon.textContent = this.sourceIcon(suggestion.sources);
+        li.appendChild(icon);
+
+        const text = document.createElement('span');
+        text.className = 'suggestion-text';
+        const prefix = query.trim().toLowerCase();
+
+        if (suggestion.word.startsWith(prefix)) {
+            const match = document.createElement('strong');
+            match.textContent = suggestion.word.slice(0, prefix.length);
+            text.appendChild(match);
+            text.appendChild(document.createTextNode(suggestion.word.slice(prefix.length)));
+        } else {
+            text.textContent = suggestion.word;
+        }
+
+        li.appendChild(text);
+        return li;
+    }
+
+    /**
+     * Pick an icon for the most personal source of a suggestion
+     * @param {Array<string>} sources - Sources the word came from
+     * @returns {string} Icon
+     */
+    sourceIcon(sources) {
+        if (sources.includes('favorites')) return '⭐';
+        if (sources.includes('history')) return '🕘';
+        if (sources.includes('cached')) return '💾';
+        return '📖';
+    }
+
+    /**
+     * Handle keyboard navigation in the input
+     * @param {KeyboardEvent} event - Keyboard event
+     */
+    handleKeydown(event) {
+        if (!this.isOpen()) return;
+
+        switch (event.key) {
+            case 'ArrowDown':
+                event.preventDefault();
+                this.setActive((this.activeIndex + 1) % this.suggestions.length);
+                break;
+
+            case 'ArrowUp':
+                event.preventDefault();
+                this.setActive(
+                    this.activeIndex <= 0 ? this.suggestions.length - 1 : this.activeIndex - 1
+                );
+                break;
+
+            case 'Enter':
+                // Without an active option, Enter submits what was typed
+                if (this.activeIndex > -1) {
+                    event.preventDefault();
+                    this.select(this.activeIndex);
+                }
+                break;
+
+            case 'Escape':
+                event.preventDefault();
+                event.stopPropagation();
+                this.close();
+                break;
+
+            case 'Tab':
+                this.close();
+                break;
+        }
+    }
+
+    /**
+     * Move the active option
+     * @param {number} index - Option index
+     */
+    setActive(index) {
+        const list = this.dom.get('suggestionsList');
+        const input = this.dom.get('wordInput');
+
+        list.querySelectorAll('.suggestion-item').forEach((option, i) => {
+            const isActive = i === index;
+            option.classList.toggle('active', isActive);
+            option.setAttribute('aria-selected', isActive ? 'true' : 'false');
+            if (isActive) {
+                option.scrollIntoView({ block: 'nearest' });
+            }
+        });
+
+        this.activeIndex = index;
+        input.setAttribute('aria-activedescendant', `suggestion-${index}`);
+    }
+
+    /**
+     * Choose a suggestion
+     * @param {number} index - Option index
+     */
+    select(index) {
+        const suggestion = this.suggestions[index];
+        if (!suggestion) return;
+
+        this.close();
+        if (this.onSelect) {
+            this.onSelect(suggestion.word);
+        }
+    }
+
+    /**
+     * Hide the dropdown
+     */
+    close() {
+        const list = this.dom.get('suggestionsList');
+        const input = this.dom.get('wordInput');
+
+        this.suggestions = [];
+        this.activeIndex = -1;
+        list.innerHTML = '';
+        list.classList.add('hidden');
+        input.setAttribute('aria-expanded', 'false');
+        input.removeAttribute('aria-activedescendant');
+    }
+}
+
+// ===== SPELLING SUGGESTIONS =====
+
+/**
+ * "Did you mean…?" candidates for words the dictionary doesn't know
+ */
+class SpellingSuggester {
+    /**
+     * Rough phonetic key: spelling variants that sound alike share a key
+     * (e.g. "fonetic" and "phonetic", "nite" and "night")
+     * @param {string} word - Word to encode
+     * @returns {string} Phonetic key
+     */
+    static phoneticKey(word) {
+        let key = word.toLowerCase().replace(/[^a-z]/g, '');
+
+        const rules = [
+            [/^kn|^gn|^pn|^wr|^ps/, m => m[1]],
+            [/ph/g, 'f'],
+            [/gh(?![aeiou])/g, ''],
+            [/tch/g, 'ch'],
+            [/dge/g, 'j'],
+            [/ck|q/g, 'k'],
+            [/c(?=[eiy])/g, 's'],
+            [/c/g, 'k'],
+            [/x/g, 'ks'],
+            [/z/g, 's'],
+            [/(?!^)[aeiouy]+/g, ''],
+            [/(.)\1+/g, '$1'],
+        ];
+
+        rules.forEach(([pattern, replacement]) => {
+            key = key.replace(pattern, replacement);
+        });
+
+        return key;
+    }
+
+    /**
+     * Rank correction candidates for a misspelled word
+     * @param {string} word - Word that wasn't found
+     * @param {Object<string, Array<string>>} sources - Candidate words keyed by
+     *   source (favorites, history, wordList); personal words win ties
+     * @param {number} [limit=5] - Maximum number of suggestions
+     * @returns {Array<string>} Best candidates first
+     */
+    static suggest(word, sources, limit = 5) {
+        const target = word.toLowerCase();
+        const targetKey = this.phoneticKey(target);
+        const maxDistance = Math.max(2, Math.floor(target.length / 3));
+        const personal = new Set([...(sources.favorites || []), ...(sources.history || [])]);
+
+        const candidates = new Set(
+            Object.values(sources).flat().map(candidate => candidate.toLowerCase())
+        );
+        candidates.delete(target);
+
+        const ranked = [];
+        candidates.forEach(candidate => {
+            // Cheap length filter before the O(n*m) comparison
+            if (Math.abs(candidate.length - target.length) > maxDistance + 1) return;
+
+            const distance = Utils.editDistance(target, candidate);
+            const phoneticDistance = Utils.editDistance(targetKey, this.phoneticKey(candidate));
+
+            if (distance > maxDistance && phoneticDistance > 0) return;
+
+            const score = distance * 2 + phoneticDistance - (personal.has(candidate) ? 1 : 0);
+            ranked.push({ candidate, score });
+        });
+
+        return ranked
+            .sort((a, b) => a.score - b.score || a.candidate.localeCompare(b.candidate))
+            .slice(0, limit)
+            .map(({ candidate }) => candidate);
+    }
+}
+
+// ===== SPACED REPETITION =====
+
+/**
+ * SM-2 scheduling for flashcards.
+ * A card is { ease, interval (days), repetitions, due, lastReviewed,
+ * reviewCount, correctCount } with timestamps in milliseconds.
+ */
+class SpacedRepetition {
+    static DAY = 24 * 60 * 60 * 1000;
+
+    /**
+     * Create a card that is due immediately
+     * @param {number} [now=Date.now()] - Current time
+     * @returns {Object} New card
+     */
+    static createCard(now = Date.now()) {
+        return {
+            ease: REVIEW_CONFIG.DEFAULT_EASE,
+            interval: 0,
+            repetitions: 0,
+            due: now,
+            lastReviewed: null,
+            reviewCount: 0,
+            correctCount: 0,
+        };
+    }
+
+    /**
+     * Schedule a card after a review
+     * @param {Object} card - Card being reviewed
+     * @param {number} grade - Recall quality, 0 (blackout) to 5 (perfect)
+     * @param {number} [now=Date.now()] - Current time
+     * @returns {Object} Updated card (the original is not modified)
+     */
+    static review(card, grade, now = Date.now()) {
+        const passed = grade >= REVIEW_CONFIG.PASSING_GRADE;
+        let { ease, interval, repetitions } = card;
+
+        if (passed) {
+            repetitions += 1;
+            if (repetitions === 1) {
+                interval = 1;
+            } else if (repetitions === 2) {
+                interval = 6;
+            } else {
+                interval = Math.round(interval * ease);
+            }
+        } else {
+            repetitions = 0;
+            interval = 1;
+        }
+
+        ease = Math.max(
+            REVIEW_CONFIG.MIN_EASE,
+            ease + (0.1 - (5 - grade) * (0.08 + (5 - grade) * 0.02))
+        );
+
+        return {
+            ...card,
+            ease,
+            interval,
+            repetitions,
+            due: now + interval * this.DAY,
+            lastReviewed: now,
+            reviewCount: card.reviewCount + 1,
+            correctCount: card.correctCount + (passed ? 1 : 0),
+        };
+    }
+
+    /**
+     * Check if a card is due
+     * @param {Object} card - Card
+     * @param {number} [now=Date.now()] - Current time
+     * @returns {boolean} True if the card should be reviewed
+     */
+    static isDue(card, now = Date.now()) {
+        return card.due <= now;
+    }
+
+    /**
+     * Pick the words due for review, most overdue first
+     * @param {Array<string>} words - Words to schedule (favorites)
+     * @param {Object<string, Object>} cards - Cards keyed by word
+     * @param {number} [now=Date.now()] - Current time
+     * @returns {Array<string>} Due words
+     */
+    static dueWords(words, cards, now = Date.now()) {
+        return words
+            .map(word => ({ word, card: cards[word] || this.createCard(now) }))
+            .filter(({ card }) => this.isDue(card, now))
+            .sort((a, b) => a.card.due - b.card.due)
+            .map(({ word }) => word);
+    }
+
+    /**
+     * Describe an interval for grade buttons
+     * @param {number} days - Interval in days
+     * @returns {string} e.g. "1d", "3w", "2mo"
+     */
+    static formatInterval(days) {
+        if (days < 7) return `${days}d`;
+        if (days < 30) return `${Math.round(days / 7)}w`;
+        if (days < 365) return `${Math.round(days / 30)}mo`;
+        return `${(days / 365).toFixed(1)}y`;
+    }
+}
+
+// ===== PANEL MANAGER =====
+
+/**
+ * Full-width panels (e.g. flashcard review) that replace the word display
+ */
+class PanelManager {
+    constructor() {
+        this.activePanel = null;
+    }
+
+    /**
+     * Show a panel in place of the word display
+     * @param {HTMLElement} panel - Panel element
+     */
+    show(panel) {
+        this.close();
+        this.activePanel = panel;
+        panel.classList.remove('hidden');
+        document.body.classList.add('panel-open');
+    }
+
+    /**
+     * Close the active panel
+     */
+    close() {
+        if (this.activePanel) {
+            this.activePanel.classList.add('hidden');
+        }
+        this.activePanel = null;
+        document.body.classList.remove('panel-open');
+    }
+
+    /**
+     * Check if any panel is open
+     * @returns {boolean} True if a panel is open
+     */
+    isOpen() {
+        return this.activePanel !== null;
+    }
+}
+
+// ===== REVIEW SESSION =====
+
+/**
+ * Flashcard review session UI
+ */
+class ReviewManager {
+    constructor(domManager) {
+        this.dom = domManager;
+        this.queue = [];
+        this.reviewed = 0;
+        this.isShowingAnswer = false;
+        this.cards = {};
+
+        // Provided by the app
+        this.onGrade = null;
+        this.loadEntry = null;
+    }
+
+    /**
+     * Start a session
+     * @param {Array<string>} words - Due words
+     * @param {Object<string, Object>} cards - Current cards (for interval previews)
+     */
+    start(words, cards) {
+        this.queue = words.slice(0, REVIEW_CONFIG.SESSION_SIZE);
+        this.cards = cards;
+        this.reviewed = 0;
+
+        if (this.queue.length === 0) {
+            this.renderEmpty();
+        } else {
+            this.renderFront();
+        }
+    }
+
+    /**
+     * Word on the current card
+     * @returns {string|null} Current word
+     */
+    currentWord() {
+        return this.queue[0] || null;
+    }
+
+    /**
+     * Update the progress indicator
+     */
+    renderProgress() {
+        const remaining = this.queue.length;
+        this.dom.get('reviewProgress').textContent = remaining
+            ? `${this.reviewed} reviewed · ${remaining} left`
+            : '';
+    }
+
+    /**
+     * Render the front of the current card
+     */
+    renderFront() {
+        const word = this.currentWord();
+        const body = this.dom.get('reviewBody');
+        this.isShowingAnswer = false;
+        this.renderProgress();
+
+        body.innerHTML = '';
+
+        const wordEl = document.createElement('p');
+        wordEl.className = 'flashcard-word';
+        wordEl.textContent = Utils.capitalize(word);
+        body.appendChild(wordEl);
+
+        const hint = document.createElement('p');
+        hint.className = 'flashcard-hint';
+        hint.textContent = 'Try to recall the meaning, then reveal the answer.';
+        body.appendChild(hint);
+
+        const showBtn = document.createElement('button');
+        showBtn.type = 'button';
+        showBtn.className = 'review-primary-btn';
+        showBtn.textContent = 'Show Answer';
+        showBtn.addEventListener('click', () => this.showAnswer());
+        body.appendChild(showBtn);
+
+        showBtn.focus();
+    }
+
+    /**
+     * Reveal the back of the current card
+     */
+    async showAnswer() {
+        if (this.isShowingAnswer) return;
+
+        const word = this.currentWord();
+        const body = this.dom.get('reviewBody');
+        this.isShowingAnswer = true;
+
+        body.querySelector('.flashcard-hint')?.remove();
+        body.querySelector('.review-primary-btn')?.remove();
+
+        const answer = document.createElement('div');
+        answer.className = 'flashcard-answer';
+        answer.textContent = 'Loading definition...';
+        body.appendChild(answer);
+        body.appendChild(this.createGradeButtons(word));
+
+        try {
+            const wordData = await this.loadEntry(word);
+            if (this.currentWord() !== word) return;
+            this.renderAnswer(answer, wordData);
+        } catch (error) {
+            answer.textContent = 'Definition unavailable right now - grade from memory.';
+        }
+    }
+
+    /**
+     * Fill in the answer with the first few definitions
+     * @param {HTMLElement} container - Answer element
+     * @param {Object} wordData - Word data ({ word, entries })
+     */
+    renderAnswer(container, wordData) {
+        container.innerHTML = '';
+
+        const entry = wordData.entries[0];
+        const phonetic = entry.phonetic || entry.phonetics.find(p => p.text)?.text;
+        if (phonetic) {
+            const phoneticEl = document.createElement('p');
+            phoneticEl.className = 'flashcard-phonetic';
+            phoneticEl.textContent = phonetic;
+            container.appendChild(phoneticEl);
+        }
+
+        const list = document.createElement('ol');
+        list.className = 'flashcard-definitions';
+
+        const definitions = wordData.entries
+            .flatMap(e => e.meanings)
+            .flatMap(meaning => meaning.definitions.map(def => ({ meaning, def })))
+            .slice(0, REVIEW_CONFIG.MAX_DEFINITIONS);
+
+        definitions.forEach(({ meaning, def }) => {
+            const item = document.createElement('li');
+
+            const badge = document.createElement('span');
+            badge.className = 'part-of-speech';
+            badge.textContent = meaning.partOfSpeech;
+            item.appendChild(badge);
+
+            item.appendChild(document.createTextNode(` ${def.definition}`));
+            list.appendChild(item);
+        });
+
+        container.appendChild(list);
+    }
+
+    /**
+     * Create the grading buttons with next-interval previews
+     * @param {string} word - Word being graded
+     * @returns {HTMLElement} Button group
+     */
+    createGradeButtons(word) {
+        const group = document.createElement('div');
+        group.className = 'grade-buttons';
+        group.setAttribute('role', 'group');
+        group.setAttribute('aria-label', 'How well did you remember?');
+
+        const card = this.cards[word] || SpacedRepetition.createCard();
+
+        REVIEW_CONFIG.GRADES.forEach(({ grade, label, key }) => {
+            const next = SpacedRepetition.review(card, grade);
+            const btn = document.createElement('button');
+            btn.type = 'button';
+            btn.className = `grade-btn grade-${label.toLowerCase()}`;
+            btn.title = `${label} (key ${key})`;
+            btn.innerHTML = `<span class="grade-label"></span><span class="grade-interval"></span>`;
+            btn.querySelector('.grade-label').textContent = label;
+            btn.querySelector('.grade-interval').textContent = SpacedRepetition.formatInterval(next.interval);
+            btn.addEventListener('click', () => this.grade(grade));
+            group.appendChild(btn);
+        });
+
+        return group;
+    }
+
+    /**
+     * Grade the current card and move on
+     * @param {number} grade - Recall quality (0-5)
+     */
+    grade(grade) {
+        const word = this.currentWord();
+        if (!word || !this.isShowingAnswer) return;
+
+        this.cards[word] = this.onGrade(word, grade);
+        this.queue.shift();
+        this.reviewed++;
+
+        // Forgotten words come back at the end of the session
+        if (grade < REVIEW_CONFIG.PASSING_GRADE) {
+            this.queue.push(word);
+        }
+
+        if (this.queue.length > 0) {
+            this.renderFront();
+        } else {
+            this.renderDone();
+        }
+    }
+
+    /**
+     * Render the "nothing due" state
+     */
+    renderEmpty() {
+        this.renderProgress();
+        this.renderMessage(
+            '🎉',
+            'All caught up!',
+            'No favorites are due for review. Star more words or come back later.'
+        );
+    }
+
+    /**
+     * Render the end-of-session summary
+     */
+    renderDone() {
+        this.renderProgress();
+        this.renderMessage(
+            '✅',
+            'Session complete',
+            `You reviewed ${this.reviewed} card${this.reviewed === 1 ? '' : 's'}. Nice work!`
+        );
+    }
+
+    /**
+     * Render a message in the review body
+     * @param {string} icon - Emoji icon
+     * @param {string} title - Heading
+     * @param {string} message - Body text
+     */
+    renderMessage(icon, title, message) {
+        const body = this.dom.get('reviewBody');
+        body.innerHTML = `
+            <div class="review-message">
+                <span class="review-message-icon" aria-hidden="true"></span>
+                <h3 class="review-message-title"></h3>
+                <p class="review-message-text"></p>
+            </div>
+        `;
+        body.querySelector('.review-message-icon').textContent = icon;
+        body.querySelector('.review-message-title').textContent = title;
+        body.querySelector('.review-message-text').textContent = message;
+    }
+
+    /**
+     * Keyboard shortcuts: Space/Enter reveals, 1-4 grade
+     * @param {KeyboardEvent} event - Keyboard event
+     * @returns {boolean} True if the key was handled
+     */
+    handleKeydown(event) {
+        if (!this.currentWord()) return false;
+
+        if (!this.isShowingAnswer && (event.key === ' ' || event.key === 'Enter')) {
+            event.preventDefault();
+            this.showAnswer();
+            return true;
+        }
+
+        const option = REVIEW_CONFIG.GRADES.find(g => g.key === event.key);
+        if (this.isShowingAnswer && option) {
+            event.preventDefault();
+            this.grade(option.grade);
+            return true;
+        }
+
+        return false;
+    }
+}
+
+// ===== QUIZ =====
+
+/**
+ * Builds quiz questions from cached dictionary entries.
+ * Question: { type, word, prompt, choices?, answer, accepted? }
+ */
+class QuizGenerator {
+    static TYPES = {
+        DEFINITION: 'definition',
+        SYNONYM: 'synonym',
+        ANTONYM: 'antonym',
+        FILL_BLANK: 'fill-blank',
+    };
+
+    /**
+     * Build a mixed set of questions
+     * @param {Array<Object>} wordDataList - Cached word data ({ word, entries })
+     * @param {number} [size] - Number of questions
+     * @returns {Array<Object>} Questions
+     */
+    static build(wordDataList, size = QUIZ_CONFIG.SIZE) {
+        const pool = wordDataList.filter(data => data?.entries?.length);
+        const questions = [];
+        const typeOrder = Utils.shuffle(Object.values(this.TYPES));
+        let typeIndex = 0;
+
+        for (const wordData of Utils.shuffle(pool)) {
+            if (questions.length >= size) break;
+
+            // Rotate through the types so a quiz mixes exercises
+            for (let attempt = 0; attempt < typeOrder.length; attempt++) {
+                const type = typeOrder[(typeIndex + attempt) % typeOrder.length];
+                const question = this.createQuestion(type, wordData, pool);
+                if (question) {
+                    questions.push(question);
+                    typeIndex = (typeIndex + attempt + 1) % typeOrder.length;
+                    break;
+                }
+            }
+        }
+
+        return questions;
+    }
+
+    /**
+     * Create one question of the given type
+     * @param {string} type - Question type
+     * @param {Object} wordData - Word the question is about
+     * @param {Array<Object>} pool - All cached words (for distractors)
+     * @returns {Object|null} Question, or null if the entry lacks the data
+     */
+    static createQuestion(type, wordData, pool) {
+        switch (type) {
+            case this.TYPES.DEFINITION:
+                return this.createDefinitionQuestion(wordData, pool);
+            case this.TYPES.SYNONYM:
+                return this.createRelatedQuestion(wordData, pool, 'synonym');
+            case this.TYPES.ANTONYM:
+                return this.createRelatedQuestion(wordData, pool, 'antonym');
+            case this.TYPES.FILL_BLANK:
+                return this.createFillBlankQuestion(wordData);
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * All definitions of a word
+     * @param {Object} wordData - Word data
+     * @returns {Array<Object>} Definition objects
+     */
+    static definitionsOf(wordData) {
+        return wordData.entries
+            .flatMap(entry => entry.meanings)
+            .flatMap(meaning => meaning.definitions)
+            .filter(def => def.definition);
+    }
+
+    /**
+     * All meanings of a word
+     * @param {Object} wordData - Word data
+     * @returns {Array<Object>} Meanings
+     */
+    static meaningsOf(wordData) {
+        return wordData.entries.flatMap(entry => entry.meanings);
+    }
+
+    /**
+     * Pick distinct distractors and mix them with the answer
+     * @param {string} answer - Correct choice
+     * @param {Array<string>} candidates - Possible distractors
+     * @returns {Array<string>|null} Shuffled choices, or null if too few distractors
+     */
+    static buildChoices(answer, candidates) {
+        const distractors = Utils.shuffle(
+            [...new Set(candidates)].filter(c => c && c.toLowerCase() !== answer.toLowerCase())
+        ).slice(0, QUIZ_CONFIG.CHOICES - 1);
+
+        if (distractors.length < QUIZ_CONFIG.CHOICES - 1) return null;
+
+        return Utils.shuffle([answer, ...distractors]);
+    }
+
+    /**
+     * "What does X mean?" with definitions of other words as distractors
+     * @param {Object} wordData - Word data
+     * @param {Array<Object>} pool - All cached words
+     * @returns {Object|null} Question
+     */
+    static createDefinitionQuestion(wordData, pool) {
+        const definitions = this.definitionsOf(wordData);
+        if (definitions.length === 0) return null;
+
+        const answer = Utils.shuffle(definitions)[0].definition;
+        const others = pool
+            .filter(data => data.word !== wordData.word)
+            .map(data => Utils.shuffle(this.definitionsOf(data))[0]?.definition);
+
+        const choices = this.buildChoices(answer, others);
+        if (!choices) return null;
+
+        return {
+            type: this.TYPES.DEFINITION,
+            word: wordData.word,
+            prompt: `What does "${wordData.word}" mean?`,
+            choices,
+            answer,
+        };
+    }
+
+    /**
+     * "Which word is closest in meaning to / opposite of X?"
+     * @param {Object} wordData - Word data
+     * @param {Array<Object>} pool - All cached words
+     * @param {string} relation - 'synonym' or 'antonym'
+     * @returns {Object|null} Question
+     */
+    static createRelatedQuestion(wordData, pool, relation) {
+        const meanings = this.meaningsOf(wordData);
+        const synonyms = DictionaryAPI.collectSynonyms(meanings);
+        const antonyms = DictionaryAPI.collectAntonyms(meanings);
+        const related = relation === 'synonym' ? synonyms : antonyms;
+        const usable = related.filter(w => w.toLowerCase() !== wordData.word.toLowerCase());
+
+        if (usable.length === 0) return null;
+
+        const answer = Utils.shuffle(usable)[0];
+
+        // Distractors: other words and their relations, never this word's own relations
+        const excluded = new Set([wordData.word, ...synonyms, ...antonyms].map(w => w.toLowerCase()));
+        const candidates = pool
+            .filter(data => data.word !== wordData.word)
+            .flatMap(data => [data.word, ...DictionaryAPI.collectSynonyms(this.meaningsOf(data))])
+            .filter(w => !excluded.has(w.toLowerCase()));
+
+        const choices = this.buildChoices(answer, candidates);
+        if (!choices) return null;
+
+        return {
+            type: relation === 'synonym' ? this.TYPES.SYNONYM : this.TYPES.ANTONYM,
+            word: wordData.word,
+            prompt: relation === 'synonym'
+                ? `Which word is closest in meaning to "${wordData.word}"?`
+                : `Which word means the opposite of "${wordData.word}"?`,
+            choices,
+            answer,
+        };
+    }
+
+    /**
+     * Fill in the blank using a definition's example sentence
+     * @param {Object} wordData - Word data
+     * @returns {Object|null} Question
+     */
+    static createFillBlankQuestion(wordData) {
+        // Match the headword or one of its inflections ("banks", "banked"),
+        // never an unrelated word that merely starts with it ("ant" in "anthem")
+        const forms = this.inflectionsOf(wordData.word).map(form => Utils.escapeRegExp(form));
+        const pattern = new RegExp(`\\b(${forms.join('|')})\\b`, 'i');
+        const usable = this.definitionsOf(wordData).filter(def => def.example && pattern.test(def.example));
+
+        if (usable.length === 0) return null;
+
+        const def = Utils.shuffle(usable)[0];
+        const match = def.example.match(pattern)[1];
+
+        return {
+            type: this.TYPES.FILL_BLANK,
+            word: wordData.word,
+            // Blank every occurrence; a separate global regex keeps `pattern` free of lastIndex state
+            prompt: def.example.replace(new RegExp(pattern.source, 'gi'), '_____'),
+            hint: def.definition,
+            answer: match,
+            accepted: [match.toLowerCase(), wordData.word.toLowerCase()],
+        };
+    }
+
+    /**
+     * Regular inflections of a word: plural, possessive, past and -ing forms
+     * @param {string} word - Headword
+     * @returns {Array<string>} Forms, longest first (so the regex prefers them)
+     */
+    static inflectionsOf(word) {
+        const base = word.toLowerCase();
+        const forms = [base, `${base}s`, `${base}es`, `${base}ed`, `${base}ing`, `${base}'s`];
+
+        if (base.endsWith('e')) {
+            forms.push(`${base}d`, `${base.slice(0, -1)}ing`);
+        }
+        if (/[^aeiou]y$/.test(base)) {
+            forms.push(`${base.slice(0, -1)}ies`, `${base.slice(0, -1)}ied`);
+        }
+        // Doubled final consonant: "stop" -> "stopped", "running"
+        if (/[^aeiou][aeiou][^aeiouwxy]$/.test(base)) {
+            const last = base.slice(-1);
+            forms.push(`${base}${last}ed`, `${base}${last}ing`);
+        }
+
+        return [...new Set(forms)].sort((a, b) => b.length - a.length);
+    }
+
+    /**
+     * Check an answer
+     * @param {Object} question - Question
+     * @param {string} response - User's answer
+     * @returns {boolean} True if correct
+     */
+    static isCorrect(question, response) {
+        const normalized = response.trim().toLowerCase();
+        if (question.accepted) {
+            return question.accepted.includes(normalized);
+        }
+        return normalized === question.answer.toLowerCase();
+    }
+}
+
+/**
+ * Quiz session UI
+ */
+class QuizManager {
+    constructor(domManager) {
+        this.dom = domManager;
+        this.questions = [];
+        this.index = 0;
+        this.responses = [];
+        this.isAnswered = false;
+
+        // Provided by the app
+        this.onRestart = null;
+    }
+
+    /**
+     * Start a quiz
+     * @param {Array<Object>} questions - Questions from QuizGenerator
+     * @param {number} [cachedCount=0] - Cached words the questions were built from
+     */
+    start(questions, cachedCount = 0) {
+        this.questions = questions;
+        this.index = 0;
+        this.responses = [];
+
+        if (questions.length === 0) {
+            this.renderEmpty(cachedCount);
+        } else {
+            this.renderQuestion();
+        }
+    }
+
+    /**
+     * Show a "preparing" state while entries load
+     */
+    renderLoading() {
+        this.dom.get('quizProgress').textContent = '';
+        this.dom.get('quizBody').innerHTML = '<p class="quiz-loading">Building your quiz...</p>';
+    }
+
+    /**
+     * Current question
+     * @returns {Object|null} Question
+     */
+    currentQuestion() {
+        return this.questions[this.index] || null;
+    }
+
+    /**
+     * Render the current question
+     */
+    renderQuestion() {
+        const question = this.currentQuestion();
+        const body = this.dom.get('quizBody');
+        this.isAnswered = false;
+
+        const score = this.responses.filter(r => r.correct).length;
+        this.dom.get('quizProgress').textContent =
+            `Question ${this.index + 1} of ${this.questions.length} · Score ${score}`;
+
+        body.innerHTML = '';
+
+        const type = document.createElement('span');
+        type.className = 'quiz-type';
+        type.textContent = this.describeType(question.type);
+        body.appendChild(type);
+
+        const prompt = document.createElement('p');
+        prompt.className = 'quiz-prompt';
+        prompt.textContent = question.prompt;
+        body.appendChild(prompt);
+
+        if (question.hint) {
+            const hint = document.createElement('p');
+            hint.className = 'quiz-hint';
+            hint.textContent = `Meaning: ${question.hint}`;
+            body.appendChild(hint);
+        }
+
+        if (question.choices) {
+            body.appendChild(this.createChoices(question));
+        } else {
+            body.appendChild(this.createAnswerForm());
+        }
+
+        const feedback = document.createElement('div');
+        feedback.className = 'quiz-feedback';
+        feedback.setAttribute('aria-live', 'polite');
+        body.appendChild(feedback);
+
+        body.querySelector('.quiz-choice, .quiz-answer-input')?.focus();
+    }
+
+    /**
+     * Human-readable exercise name
+     * @param {string} type - Question type
+     * @returns {string} Label
+     */
+    describeType(type) {
+        const labels = {
+            [QuizGenerator.TYPES.DEFINITION]: 'Definition',
+            [QuizGenerator.TYPES.SYNONYM]: 'Synonym',
+            [QuizGenerator.TYPES.ANTONYM]: 'Antonym',
+            [QuizGenerator.TYPES.FILL_BLANK]: 'Fill in the blank',
+        };
+        return labels[type] || 'Question';
+    }
+
+    /**
+     * Create multiple-choice buttons
+     * @param {Object} question - Question
+     * @returns {HTMLElement} Choice list
+     */
+    createChoices(question) {
+        const list = document.createElement('div');
+        list.className = 'quiz-choices';
+        list.setAttribute('role', 'group');
+        list.setAttribute('aria-label', 'Answer choices');
+
+        question.choices.forEach((choice, i) => {
+            const btn = document.createElement('button');
+            btn.type = 'button';
+            btn.className = 'quiz-choice';
+            btn.dataset.choice = choice;
+            btn.textContent = `${i + 1}. ${choice}`;
+            btn.addEventListener('click', () => this.answer(choice));
+            list.appendChild(btn);
+        });
+
+        return list;
+    }
+
+    /**
+     * Create the fill-in-the-blank form
+     * @returns {HTMLElement} Answer form
+     */
+    createAnswerForm() {
+        const form = document.createElement('form');
+        form.className = 'quiz-answer-form';
+        form.innerHTML = `
+            <input type="text" class="quiz-answer-input search-input" aria-label="Your answer"
+                autocomplete="off" spellcheck="false" placeholder="Type the missing word...">
+            <button type="submit" class="review-primary-btn">Check</button>
+        `;
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            const value = form.querySelector('.quiz-answer-input').value;
+            if (value.trim()) {
+                this.answer(value);
+            }
+        });
+        return form;
+    }
+
+    /**
+     * Record an answer and show feedback
+     * @param {string} response - Chosen or typed answer
+     */
+    answer(response) {
+        if (this.isAnswered) return;
+
+        const question = this.currentQuestion();
+        const correct = QuizGenerator.isCorrect(question, response);
+        const body = this.dom.get('quizBody');
+        this.isAnswered = true;
+        this.responses.push({ question, response, correct });
+
+        // Mark choices
+        body.querySelectorAll('.quiz-choice').forEach(btn => {
+            btn.disabled = true;
+            if (btn.dataset.choice === question.answer) {
+                btn.classList.add('correct');
+            } else if (btn.dataset.choice === response) {
+                btn.classList.add('incorrect');
+            }
+        });
+        body.querySelectorAll('.quiz-answer-form input, .quiz-answer-form button').forEach(el => {
+            el.disabled = true;
+        });
+
+        const feedback = body.querySelector('.quiz-feedback');
+        feedback.className = `quiz-feedback ${correct ? 'correct' : 'incorrect'}`;
+        feedback.textContent = correct
+            ? '✅ Correct!'
+            : `❌ The answer is "${question.answer}".`;
+
+        const isLast = this.index === this.questions.length - 1;
+        const nextBtn = document.createElement('button');
+        nextBtn.type = 'button';
+        nextBtn.className = 'review-primary-btn';
+        nextBtn.textContent = isLast ? 'See Results' : 'Next Question';
+        nextBtn.addEventListener('click', () => this.next());
+        body.appendChild(nextBtn);
+        nextBtn.focus();
+    }
+
+    /**
+     * Move to the next question or the results
+     */
+    next() {
+        this.index++;
+        if (this.currentQuestion()) {
+            this.renderQuestion();
+        } else {
+            this.renderResults();
+        }
+    }
+
+    /**
+     * Render the results screen
+     */
+    renderResults() {
+        const body = this.dom.get('quizBody');
+        const score = this.responses.filter(r => r.correct).length;
+        const total = this.responses.length;
+        const percent = Math.round((score / total) * 100);
+
+        this.dom.get('quizProgress').textContent = 'Results';
+        body.innerHTML = '';
+
+        const summary = document.createElement('div');
+        summary.className = 'quiz-summary';
+        summary.innerHTML = `
+            <p class="quiz-score"></p>
+            <p class="quiz-score-text"></p>
+        `;
+        summary.querySelector('.quiz-score').textContent = `${score} / ${total}`;
+        summary.querySelector('.quiz-score-text').textContent =
+            percent >= 80 ? `${percent}% - excellent!` :
+            percent >= 50 ? `${percent}% - good progress, keep practicing.` :
+            `${percent}% - review these words and try again.`;
+        body.appendChild(summary);
+
+        const list = document.createElement('ol');
+        list.className = 'quiz-results-list';
+
+        this.responses.forEach(({ question, response, correct }) => {
+            const item = document.createElement('li');
+            item.className = `quiz-result ${correct ? 'correct' : 'incorrect'}`;
+
+            const word = document.createElement('strong');
+            word.textContent = `${correct ? '✅' : '❌'} ${question.word}`;
+            item.appendChild(word);
+
+            const detail = document.createElement('span');
+            detail.className = 'quiz-result-detail';
+            detail.textContent = correct
+                ? `${this.describeType(question.type)}`
+                : `${this.describeType(question.type)} - you said "${response}", answer: "${question.answer}"`;
+            item.appendChild(detail);
+
+            list.appendChild(item);
+        });
+
+        body.appendChild(list);
+
+        const againBtn = document.createElement('button');
+        againBtn.type = 'button';
+        againBtn.className = 'review-primary-btn';
+        againBtn.textContent = 'New Quiz';
+        againBtn.addEventListener('click', () => this.onRestart?.());
+        body.appendChild(againBtn);
+    }
+
+    /**
+     * Render the "not enough words" state
+     * @param {number} [cachedCount=0] - Cached words available
+     */
+    renderEmpty(cachedCount = 0) {
+        // Enough words, but none had the definitions or examples a question needs
+        const unusable = cachedCount >= QUIZ_CONFIG.MIN_WORDS;
+
+        this.dom.get('quizProgress').textContent = '';
+        const body = this.dom.get('quizBody');
+        body.innerHTML = `
+            <div class="review-message">
+                <span class="review-message-icon" aria-hidden="true">📚</span>
+                <h3 class="review-message-title"></h3>
+                <p class="review-message-text"></p>
+            </div>
+        `;
+        body.querySelector('.review-message-title').textContent = unusable
+            ? 'Not enough usable entries'
+            : 'Not enough words yet';
+        body.querySelector('.review-message-text').textContent = unusable
+            ? `None of your ${cachedCount} saved words have enough definitions, examples or related words to build questions from. Look up a few more words and try again.`
+            : `Look up at least ${QUIZ_CONFIG.MIN_WORDS} words to build a quiz from them.`;
+    }
+
+    /**
+     * Keyboard shortcuts: 1-4 pick a choice
+     * @param {KeyboardEvent} event - Keyboard event
+     */
+    handleKeydown(event) {
+        const question = this.currentQuestion();
+        if (!question?.choices || this.isAnswered) return;
+
+        const index = Number(event.key) - 1;
+        if (index >= 0 && index < question.choices.length) {
+            event.preventDefault();
+            this.answer(question.choices[index]);
+        }
+    }
+}
+
+// ===== LEARNING STATS =====
+
+/**
+ * Daily activity counters, keyed by local date:
+ * { 'YYYY-MM-DD': { lookups, reviews, correct } }
+ */
+class ActivityLog {
+    /**
+     * Local date key for a time
+     * @param {number} [time=Date.now()] - Time
+     * @returns {string} YYYY-MM-DD
+     */
+    static dayKey(time = Date.now()) {
+        const date = new Date(time);
+        const pad = (n) => String(n).padStart(2, '0');
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+    }
+
+    /**
+     * Count an event for today
+     * @param {Object} activity - Activity log
+     * @param {Object} counts - Increments, e.g. { lookups: 1 } or { reviews: 1, correct: 1 }
+     * @param {number} [now=Date.now()] - Current time
+     * @returns {Object} Updated log (pruned to MAX_ACTIVITY_DAYS)
+     */
+    static record(activity, counts, now = Date.now()) {
+        const key = this.dayKey(now);
+        const day = activity[key] || { lookups: 0, reviews: 0, correct: 0 };
+
+        const updated = {
+            ...activity,
+            [key]: {
+                lookups: day.lookups + (counts.lookups || 0),
+                reviews: day.reviews + (counts.reviews || 0),
+                correct: day.correct + (counts.correct || 0),
+            },
+        };
+
+        const days = Object.keys(updated).sort();
+        days.slice(0, Math.max(0, days.length - STATS_CONFIG.MAX_ACTIVITY_DAYS))
+            .forEach(old => delete updated[old]);
+
+        return updated;
+    }
+}
+
+/**
+ * Turns saved data into dashboard figures
+ */
+class LearningStats {
+    /**
+     * Compute everything the dashboard shows
+     * @param {Object} data - { activity, history, favorites, reviews, wordDataList }
+     * @param {number} [now=Date.now()] - Current time
+     * @returns {Object} Stats
+     */
+    static compute({ activity, history, favorites, reviews, wordDataList }, now = Date.now()) {
+        const cards = Object.values(reviews);
+        const reviewCount = cards.reduce((sum, card) => sum + card.reviewCount, 0);
+        const correctCount = cards.reduce((sum, card) => sum + card.correctCount, 0);
+        const totalLookups = Object.values(activity).reduce((sum, day) => sum + day.lookups, 0);
+
+        return {
+            daily: this.daily(activity, now),
+            weekly: this.weekly(activity, now),
+            streak: this.streak(activity, now),
+            totalLookups,
+            topLookups: [...history]
+                .filter(entry => entry.count > 1)
+                .sort((a, b) => b.count - a.count)
+                .slice(0, STATS_CONFIG.TOP_WORDS)
+                .map(entry => ({ label: entry.word, value: entry.count })),
+            partsOfSpeech: this.partsOfSpeech(favorites, wordDataList),
+            accuracy: {
+                reviews: reviewCount,
+                correct: correctCount,
+                percent: reviewCount ? Math.round((correctCount / reviewCount) * 100) : null,
+            },
+        };
+    }
+
+    /**
+     * Lookups for each of the last DAYS days
+     * @param {Object} activity - Activity log
+     * @param {number} now - Current time
+     * @returns {Array<Object>} [{ label, title, value }] oldest first
+     */
+    static daily(activity, now) {
+        return Array.from({ length: STATS_CONFIG.DAYS }, (_, i) => {
+            const time = this.daysAgo(now, STATS_CONFIG.DAYS - 1 - i);
+            const date = new Date(time);
+            return {
+                label: String(date.getDate()),
+                title: date.toLocaleDateString(undefined, { weekday: 'short', month: 'short', day: 'numeric' }),
+                value: activity[ActivityLog.dayKey(time)]?.lookups || 0,
+            };
+        });
+    }
+
+    /**
+     * Lookups for each of the last WEEKS weeks (the last one ends today)
+     * @param {Object} activity - Activity log
+     * @param {number} now - Current time
+     * @returns {Array<Object>} [{ label, title, value }] oldest first
+     */
+    static weekly(activity, now) {
+        return Array.from({ length: STATS_CONFIG.WEEKS }, (_, i) => {
+            const weeksAgo = STATS_CONFIG.WEEKS - 1 - i;
+            let value = 0;
+            for (let d = 0; d < 7; d++) {
+                value += activity[ActivityLog.dayKey(this.daysAgo(now, weeksAgo * 7 + d))]?.lookups || 0;
+            }
+
+            const start = new Date(this.daysAgo(now, weeksAgo * 7 + 6));
+            return {
+                label: weeksAgo === 0 ? 'This wk' : `-${weeksAgo}w`,
+                title: `Week of ${start.toLocaleDateString(undefined, { month: 'short', day: 'numeric' })}`,
+                value,
+            };
+        });
+    }
+
+    /**
+     * Current and longest run of days with any activity. Today without
+     * activity yet doesn't break the current streak.
+     * @param {Object} activity - Activity log
+     * @param {number} now - Current time
+     * @returns {Object} { current, longest, activeToday }
+     */
+    static streak(activity, now) {
+        const isActive = (key) => {
+            const day = activity[key];
+            return Boolean(day && (day.lookups || day.reviews));
+        };
+
+        const activeToday = isActive(ActivityLog.dayKey(now));
+        let current = 0;
+        for (let d = activeToday ? 0 : 1; isActive(ActivityLog.dayKey(this.daysAgo(now, d))); d++) {
+            current++;
+        }
+
+        let longest = 0;
+        let run = 0;
+        let previous = null;
+        Object.keys(activity).filter(isActive).sort().forEach(key => {
+            const time = new Date(`${key}T12:00:00`).getTime();
+            const consecutive = previous !== null &&
+                Math.round((time - previous) / SpacedRepetition.DAY) === 1;
+            run = consecutive ? run + 1 : 1;
+            longest = Math.max(longest, run);
+            previous = time;
+        });
+
+        return { current, longest: Math.max(longest, current), activeToday };
+    }
+
+    /**
+     * Part-of-speech counts across saved words (each word counted once per part)
+     * @param {Array<Object>} favorites - Favorite records
+     * @param {Array<Object>} wordDataList - Cached word data
+     * @returns {Array<Object>} [{ label, value }] largest first
+     */
+    static partsOfSpeech(favorites, wordDataList) {
+        // Favorites keep the headword's casing; compare both sides lowercased
+        const saved = new Set(FavoritesModel.words(favorites).map(word => word.toLowerCase()));
+        const counts = new Map();
+
+        wordDataList
+            .filter(wordData => saved.has(wordData.word.toLowerCase()))
+            .forEach(wordData => {
+                const parts = new Set(
+                    wordData.entries.flatMap(entry => entry.meanings.map(m => m.partOfSpeech))
+                );
+                parts.forEach(part => counts.set(part, (counts.get(part) || 0) + 1));
+            });
+
+        return [...counts]
+            .map(([label, value]) => ({ label, value }))
+            .sort((a, b) => b.value - a.value);
+    }
+
+    /**
+     * Time a number of calendar days ago (noon, so DST shifts don't skip a day)
+     * @param {number} now - Current time
+     * @param {number} days - Days back
+     * @returns {number} Time
+     */
+    static daysAgo(now, days) {
+        const date = new Date(now);
+        date.setHours(12, 0, 0, 0);
+        date.setDate(date.getDate() - days);
+        return date.getTime();
+    }
+}
+
+/**
+ * Minimal SVG charts (styled from styles.css)
+ */
+class SvgChart {
+    static NS = 'http://www.w3.org/2000/svg';
+
+    /**
+     * Create an SVG element
+     * @param {string} tag - Element name
+     * @param {Object} [attributes={}] - Attributes
+     * @returns {SVGElement} Element
+     */
+    static create(tag, attributes = {}) {
+        const element = document.createElementNS(this.NS, tag);
+        Object.entries(attributes).forEach(([name, value]) => element.setAttribute(name, value));
+        return element;
+    }
+
+    /**
+     * Vertical bar chart
+     * @param {Array<Object>} data - [{ label, title, value }]
+     * @param {string} description - Accessible description
+     * @returns {SVGElement} Chart
+     */
+    static bars(data, description) {
+        const width = 320;
+        const height = 140;
+        const labelHeight = 18;
+        const valueHeight = 14;
+        const slot = width / data.length;
+        const barWidth = Math.max(4, slot * 0.6);
+        const max = Math.max(1, ...data.map(d => d.value));
+        const plotHeight = height - labelHeight - valueHeight;
+
+        const svg = this.create('svg', {
+            viewBox: `0 0 ${width} ${height}`,
+            class: 'chart chart-bars',
+            role: 'img',
+            'aria-label': description,
+        });
+
+        data.forEach((d, i) => {
+            const x = i * slot + (slot - barWidth) / 2;
+            const barHeight = (d.value / max) * plotHeight;
+            const y = valueHeight + plotHeight - barHeight;
+
+            const bar = this.create('rect', {
+                x, y,
+                width: barWidth,
+                height: Math.max(barHeight, d.value ? 2 : 0),
+                rx: 3,
+                class: 'chart-bar',
+            });
+            const title = this.create('title');
+            title.textContent = `${d.title || d.label}: ${d.value}`;
+            bar.appendChild(title);
+            svg.appendChild(bar);
+
+            if (d.value) {
+                const value = this.create('text', { x: x + barWidth / 2, y: y - 3, class: 'chart-value' });
+                value.textContent = d.value;
+                svg.appendChild(value);
+            }
+
+            const label = this.create('text', { x: x + barWidth / 2, y: height - 4, class: 'chart-label' });
+            label.textContent = d.label;
+            svg.appendChild(label);
+        });
+
+        return svg;
+    }
+
+    /**
+     * Horizontal bar chart with labels on the left
+     * @param {Array<Object>} data - [{ label, value }]
+     * @param {string} description - Accessible description
+     * @returns {SVGElement} Chart
+     */
+    static horizontalBars(data, description) {
+        const width = 320;
+        const rowHeight = 24;
+        const labelWidth = 110;
+        const valueWidth = 30;
+        const max = Math.max(1, ...data.map(d => d.value));
+
+        const svg = this.create('svg', {
+            viewBox: `0 0 ${width} ${data.length * rowHeight}`,
+            class: 'chart chart-hbars',
+            role: 'img',
+            'aria-label': description,
+        });
+
+        data.forEach((d, i) => {
+            const y = i * rowHeight;
+            const barWidth = (d.value / max) * (width - labelWidth - valueWidth);
+
+            const label = this.create('text', { x: labelWidth - 8, y: y + 16, class: 'chart-label chart-label-start' });
+            label.textContent = d.label;
+            svg.appendChild(label);
+
+            svg.appendChild(this.create('rect', {
+                x: labelWidth, y: y + 4, width: barWidth, height: rowHeight - 8, rx: 3, class: 'chart-bar',
+            }));
+
+            const value = this.create('text', { x: labelWidth + barWidth + 6, y: y + 16, class: 'chart-value chart-value-end' });
+            value.textContent = d.value;
+            svg.appendChild(value);
+        });
+
+        return svg;
+    }
+
+    /**
+     * Progress ring with the percentage in the middle
+     * @param {number} percent - 0-100
+     * @param {string} description - Accessible description
+     * @returns {SVGElement} Chart
+     */
+    static ring(percent, description) {
+        const radius = 40;
+        const circumference = 2 * Math.PI * radius;
+
+        const svg = this.create('svg', {
+            viewBox: '0 0 100 100',
+            class: 'chart chart-ring',
+            role: 'img',
+            'aria-label': description,
+        });
+
+        svg.appendChild(this.create('circle', { cx: 50, cy: 50, r: radius, class: 'chart-ring-track' }));
+        svg.appendChild(this.create('circle', {
+            cx: 50, cy: 50, r: radius,
+            class: 'chart-ring-value',
+            'stroke-dasharray': `${(percent / 100) * circumference} ${circumference}`,
+            transform: 'rotate(-90 50 50)',
+        }));
+
+        const text = this.create('text', { x: 50, y: 57, class: 'chart-ring-text' });
+        text.textContent = `${percent}%`;
+        svg.appendChild(text);
+
+        return svg;
+    }
+}
+
+/**
+ * Statistics dashboard UI
+ */
+class StatsManager {
+    constructor(domManager) {
+        this.dom = domManager;
+    }
+
+    /**
+     * Show a placeholder while cached entries load
+     */
+    renderLoading() {
+        this.dom.get('statsSummary').textContent = '';
+        this.dom.get('statsBody').innerHTML = '<p class="quiz-loading">Crunching your numbers...</p>';
+    }
+
+    /**
+     * Render the dashboard
+     * @param {Object} stats - Stats from LearningStats.compute
+     */
+    render(stats) {
+        const { streak, accuracy } = stats;
+        const body = this.dom.get('statsBody');
+        body.innerHTML = '';
+
+        this.dom.get('statsSummary').textContent =
+            `${stats.totalLookups} ${stats.totalLookups === 1 ? 'lookup' : 'lookups'} recorded`;
+
+        // Headline numbers
+        const tiles = document.createElement('div');
+        tiles.className = 'stats-tiles';
+        [
+            { value: streak.current, label: 'day streak', icon: '🔥' },
+            { value: streak.longest, label: 'longest streak', icon: '🏆' },
+            { value: stats.daily[stats.daily.length - 1].value, label: 'lookups today', icon: '🔎' },
+            { value: accuracy.reviews, label: 'cards reviewed', icon: '🧠' },
+        ].forEach(({ value, label, icon }) => {
+            const tile = document.createElement('div');
+            tile.className = 'stats-tile';
+            tile.innerHTML = `
+                <span class="stats-tile-icon" aria-hidden="true">${icon}</span>
+                <span class="stats-tile-value"></span>
+                <span class="stats-tile-label"></span>
+            `;
+            tile.querySelector('.stats-tile-value').textContent = value;
+            tile.querySelector('.stats-tile-label').textContent = label;
+            tiles.appendChild(tile);
+        });
+        body.appendChild(tiles);
+
+        if (streak.current > 0 && !streak.activeToday) {
+            const hint = document.createElement('p');
+            hint.className = 'stats-hint';
+            hint.textContent = 'Look up or review a word today to keep your streak going!';
+            body.appendChild(hint);
+        }
+
+        const grid = document.createElement('div');
+        grid.className = 'stats-grid';
+        body.appendChild(grid);
+
+        grid.appendChild(this.createSection(
+            `Lookups - last ${STATS_CONFIG.DAYS} days`,
+            SvgChart.bars(stats.daily, `Words looked up on each of the last ${STATS_CONFIG.DAYS} days`)
+        ));
+
+        grid.appendChild(this.createSection(
+            `Lookups - last ${STATS_CONFIG.WEEKS} weeks`,
+            SvgChart.bars(stats.weekly, `Words looked up in each of the last ${STATS_CONFIG.WEEKS} weeks`)
+        ));
+
+        grid.appendChild(this.createSection(
+            'Most repeated lookups',
+            stats.topLookups.length
+                ? SvgChart.horizontalBars(stats.topLookups, 'Words looked up most often')
+                : this.createEmpty('Words you look up more than once will show here - they are great candidates for your favorites.')
+        ));
+
+        grid.appendChild(this.createSection(
+            'Saved words by part of speech',
+            stats.partsOfSpeech.length
+                ? SvgChart.horizontalBars(stats.partsOfSpeech, 'Favorite words by part of speech')
+                : this.createEmpty('Save some favorites to see which parts of speech you collect.')
+        ));
+
+        const accuracySection = this.createSection(
+            'Review accuracy',
+            accuracy.percent === null
+                ? this.createEmpty('Review your favorites to track how well you remember them.')
+                : SvgChart.ring(accuracy.percent, `${accuracy.percent}% of reviews answered correctly`)
+        );
+        if (accuracy.percent !== null) {
+            const detail = document.createElement('p');
+            detail.className = 'stats-hint';
+            detail.textContent = `${accuracy.correct} of ${accuracy.reviews} reviews recalled`;
+            accuracySection.appendChild(detail);
+        }
+        grid.appendChild(accuracySection);
+    }
+
+    /**
+     * Create a titled dashboard section
+     * @param {string} title - Section title
+     * @param {Element} content - Chart or message
+     * @returns {HTMLElement} Section
+     */
+    createSection(title, content) {
+        const section = document.createElement('section');
+        section.className = 'stats-section';
+
+        const heading = document.createElement('h3');
+        heading.className = 'stats-heading';
+        heading.textContent = title;
+
+        section.appendChild(heading);
+        section.appendChild(content);
+        return section;
+    }
+
+    /**
+     * Create an empty-state message
+     * @param {string} message - Message
+     * @returns {HTMLElement} Paragraph
+     */
+    createEmpty(message) {
+        const p = document.createElement('p');
+        p.className = 'stats-empty';
+        p.textContent = message;
+        return p;
+    }
+}
+
+// ===== WORD GRAPH =====
+
+/**
+ * Words and their synonym/antonym links, laid out with a simple force
+ * simulation: nodes repel, links pull like springs and gravity keeps
+ * everything near the centre word, which stays pinned at (0, 0).
+ * Node: { word, x, y, vx, vy, depth, expanded, status }
+ * Link: { source, target, type } (source/target are words)
+ */
+class WordGraph {
+    static LINK_TYPES = {
+        SYNONYM: 'synonym',
+        ANTONYM: 'antonym',
+    };
+
+    static STATUS = {
+        LOADING: 'loading',
+        MISSING: 'missing',
+    };
+
+    /**
+     * @param {string} center - Word at the centre
+     */
+    constructor(center) {
+        this.center = center;
+        this.nodes = new Map();
+        this.links = [];
+        this.addNode(center, null);
+    }
+
+    /**
+     * Add a word next to the word it was reached from
+     * @param {string} word - Word
+     * @param {Object|null} parent - Node it is linked from
+     * @returns {Object} Node (the existing one if already present)
+     */
+    addNode(word, parent) {
+        if (this.nodes.has(word)) return this.nodes.get(word);
+
+        // Spread siblings around the parent (golden angle keeps them apart)
+        const angle = this.nodes.size * 2.399963;
+        const radius = parent ? GRAPH_CONFIG.LINK_LENGTH : 0;
+        const node = {
+            word,
+            x: (parent?.x || 0) + Math.cos(angle) * radius,
+            y: (parent?.y || 0) + Math.sin(angle) * radius,
+            vx: 0,
+            vy: 0,
+            depth: parent ? parent.depth + 1 : 0,
+            expanded: false,
+            status: null,
+        };
+
+        this.nodes.set(word, node);
+        return node;
+    }
+
+    /**
+     * Check whether two words are already linked (either direction)
+     * @param {string} a - Word
+     * @param {string} b - Word
+     * @returns {boolean} True if linked
+     */
+    hasLink(a, b) {
+        return this.links.some(link =>
+            (link.source === a && link.target === b) || (link.source === b && link.target === a));
+    }
+
+    /**
+     * Add a word's synonyms and antonyms as neighbours
+     * @param {string} word - Word being expanded
+     * @param {Array} meanings - Meanings from its entries
+     * @returns {number} Number of words added
+     */
+    expand(word, meanings) {
+        const node = this.nodes.get(word);
+        if (!node) return 0;
+
+        node.expanded = true;
+        node.status = null;
+
+        const related = [
+            ...DictionaryAPI.collectSynonyms(meanings).map(w => ({ word: w, type: WordGraph.LINK_TYPES.SYNONYM })),
+            ...DictionaryAPI.collectAntonyms(meanings).map(w => ({ word: w, type: WordGraph.LINK_TYPES.ANTONYM })),
+        ];
+
+        let added = 0;
+        related
+            .map(item => ({ ...item, word: item.word.toLowerCase() }))
+            .filter(item => item.word !== word)
+            .slice(0, GRAPH_CONFIG.MAX_NEIGHBORS * 2)
+            .forEach(item => {
+                if (this.hasLink(word, item.word)) return;
+
+                const isNew = !this.nodes.has(item.word);
+                if (isNew && (added >= GRAPH_CONFIG.MAX_NEIGHBORS || this.nodes.size >= GRAPH_CONFIG.MAX_NODES)) {
+                    return;
+                }
+
+                this.addNode(item.word, node);
+                this.links.push({ source: word, target: item.word, type: item.type });
+                if (isNew) added++;
+            });
+
+        return added;
+    }
+
+    /**
+     * Advance the layout by one step
+     * @param {number} alpha - Strength, cooling from 1 towards 0
+     */
+    tick(alpha) {
+        const nodes = Array.from(this.nodes.values());
+
+        // Every pair of words pushes apart
+        for (let i = 0; i < nodes.length; i++) {
+            for (let j = i + 1; j < nodes.length; j++) {
+                const a = nodes[i];
+                const b = nodes[j];
+                const dx = b.x - a.x;
+                const dy = b.y - a.y;
+                const distanceSq = Math.max(dx * dx + dy * dy, 25);
+                const distance = Math.sqrt(distanceSq);
+                const force = GRAPH_CONFIG.REPULSION * alpha / distanceSq;
+                const fx = dx / distance * force;
+                const fy = dy / distance * force;
+
+                a.vx -= fx;
+                a.vy -= fy;
+                b.vx += fx;
+                b.vy += fy;
+            }
+        }
+
+        // Links pull towards their rest length
+        this.links.forEach(link => {
+            const a = this.nodes.get(link.source);
+            const b = this.nodes.get(link.target);
+            const dx = b.x - a.x;
+            const dy = b.y - a.y;
+            const distance = Math.max(Math.sqrt(dx * dx + dy * dy), 1);
+            const force = (distance - GRAPH_CONFIG.LINK_LENGTH) * GRAPH_CONFIG.SPRING * alpha;
+            const fx = dx / distance * force;
+            const fy = dy / distance * force;
+
+            a.vx += fx;
+            a.vy += fy;
+            b.vx -= fx;
+            b.vy -= fy;
+        });
+
+        nodes.forEach(node => {
+            if (node.word === this.center) {
+                node.x = node.y = node.vx = node.vy = 0;
+                return;
+            }
+
+            node.vx = (node.vx - node.x * GRAPH_CONFIG.GRAVITY * alpha) * GRAPH_CONFIG.DAMPING;
+            node.vy = (node.vy - node.y * GRAPH_CONFIG.GRAVITY * alpha) * GRAPH_CONFIG.DAMPING;
+            node.x += node.vx;
+            node.y += node.vy;
+        });
+    }
+}
+
+/**
+ * Renders a WordGraph as SVG with zoom, pan and keyboard focus.
+ * Activating a word (click, Enter or Space) selects and expands it.
+ */
+class GraphView {
+    static VIEW_SIZE = { width: 640, height: 420 };
+
+    constructor(domManager) {
+        this.dom = domManager;
+        this.graph = null;
+        this.selected = null;
+        this.transform = { x: 0, y: 0, k: 1 };
+        this.alpha = 0;
+        this.frame = null;
+        this.drag = null;
+        this.elements = { nodes: new Map(), links: new Map() };
+
+        // Overridden by the app
+        this.onExpand = () => {};
+        this.onLookup = () => {};
+
+        this.svg = SvgChart.create('svg', {
+            class: 'graph-svg',
+            viewBox: `${-GraphView.VIEW_SIZE.width / 2} ${-GraphView.VIEW_SIZE.height / 2} ${GraphView.VIEW_SIZE.width} ${GraphView.VIEW_SIZE.height}`,
+            role: 'group',
+            'aria-label': 'Word relationship graph',
+        });
+        this.viewport = SvgChart.create('g', { class: 'graph-viewport' });
+        this.linkLayer = SvgChart.create('g', { class: 'graph-links' });
+        this.nodeLayer = SvgChart.create('g', { class: 'graph-nodes' });
+        this.viewport.append(this.linkLayer, this.nodeLayer);
+        this.svg.appendChild(this.viewport);
+        this.dom.get('graphCanvas').appendChild(this.svg);
+
+        this.bindEvents();
+    }
+
+    /**
+     * Show a graph (keeps zoom and selection when it is the one already shown)
+     * @param {WordGraph} graph - Graph
+     */
+    show(graph) {
+        if (graph !== this.graph) {
+            this.graph = graph;
+            this.linkLayer.innerHTML = '';
+            this.nodeLayer.innerHTML = '';
+            this.elements = { nodes: new Map(), links: new Map() };
+            this.transform = { x: 0, y: 0, k: 1 };
+            this.select(graph.center);
+        }
+
+        this.update();
+    }
+
+    /**
+     * Sync the SVG with the graph and let the layout settle
+     */
+    update() {
+        const { graph } = this;
+        if (!graph) return;
+
+        graph.links.forEach(link => {
+            const key = `${link.source}|${link.target}`;
+            if (this.elements.links.has(key)) return;
+
+            const line = SvgChart.create('line', { class: `graph-link graph-link-${link.type}` });
+            this.linkLayer.appendChild(line);
+            this.elements.links.set(key, { line, link });
+        });
+
+        graph.nodes.forEach(node => {
+            let element = this.elements.nodes.get(node.word);
+            if (!element) {
+                element = this.createNode(node);
+                this.nodeLayer.appendChild(element);
+                this.elements.nodes.set(node.word, element);
+            }
+
+            element.classList.toggle('expanded', node.expanded);
+            element.classList.toggle('loading', node.status === WordGraph.STATUS.LOADING);
+            element.classList.toggle('missing', node.status === WordGraph.STATUS.MISSING);
+            element.setAttribute('aria-label', this.describe(node));
+        });
+
+        this.dom.get('graphSummary').textContent =
+            `${graph.nodes.size} ${graph.nodes.size === 1 ? 'word' : 'words'}, ${graph.links.length} ${graph.links.length === 1 ? 'link' : 'links'}`;
+
+        this.restart();
+    }
+
+    /**
+     * Create the element for a word
+     * @param {Object} node - Graph node
+     * @returns {SVGElement} Node element
+     */
+    createNode(node) {
+        const group = SvgChart.create('g', {
+            class: `graph-node graph-depth-${Math.min(node.depth, 2)}`,
+            tabindex: '0',
+            role: 'button',
+            'data-word': node.word,
+        });
+
+        const circle = SvgChart.create('circle', { r: node.depth === 0 ? 14 : 9 });
+        const label = SvgChart.create('text', { y: node.depth === 0 ? 30 : 24, class: 'graph-label' });
+        label.textContent = node.word;
+
+        group.append(circle, label);
+        return group;
+    }
+
+    /**
+     * Accessible name for a word
+     * @param {Object} node - Graph node
+     * @returns {string} Description
+     */
+    describe(node) {
+        const linked = this.graph.links.filter(link => link.source === node.word || link.target === node.word);
+        const count = (type) => linked.filter(link => link.type === type).length;
+        const state = node.status === WordGraph.STATUS.LOADING ? ', loading'
+            : node.status === WordGraph.STATUS.MISSING ? ', no entry found'
+                : node.expanded ? '' : ', press Enter to expand';
+
+        return `${node.word}: ${count(WordGraph.LINK_TYPES.SYNONYM)} similar, ${count(WordGraph.LINK_TYPES.ANTONYM)} opposite${state}`;
+    }
+
+    /**
+     * Mark a word as selected
+     * @param {string} word - Word
+     */
+    select(word) {
+        this.selected = word;
+        this.elements.nodes.forEach((element, key) => element.classList.toggle('selected', key === word));
+        this.dom.get('graphSelection').textContent = word;
+        this.dom.get('graphLookupBtn').disabled = !word;
+    }
+
+    /**
+     * Run the layout until it cools down
+     */
+    restart() {
+        this.alpha = 1;
+        if (this.frame) return;
+
+        const step = () => {
+            // The panel was closed - showing it again restarts the layout
+            if (this.svg.closest('.hidden')) {
+                this.frame = null;
+                return;
+            }
+
+            this.graph.tick(this.alpha);
+            this.draw();
+            this.alpha *= GRAPH_CONFIG.ALPHA_DECAY;
+            this.frame = this.alpha > GRAPH_CONFIG.MIN_ALPHA ? requestAnimationFrame(step) : null;
+        };
+        this.frame = requestAnimationFrame(step);
+    }
+
+    /**
+     * Stop the layout (e.g. when the panel closes)
+     */
+    stop() {
+        if (this.frame) {
+            cancelAnimationFrame(this.frame);
+            this.frame = null;
+        }
+    }
+
+    /**
+     * Move SVG elements to the current layout
+     */
+    draw() {
+        this.elements.links.forEach(({ line, link }) => {
+            const a = this.graph.nodes.get(link.source);
+            const b = this.graph.nodes.get(link.target);
+            line.setAttribute('x1', a.x.toFixed(1));
+            line.setAttribute('y1', a.y.toFixed(1));
+            line.setAttribute('x2', b.x.toFixed(1));
+            line.setAttribute('y2', b.y.toFixed(1));
+        });
+
+        this.elements.nodes.forEach((element, word) => {
+            const node = this.graph.nodes.get(word);
+            element.setAttribute('transform', `translate(${node.x.toFixed(1)} ${node.y.toFixed(1)})`);
+        });
+    }
+
+    /**
+     * Apply the zoom/pan transform
+     */
+    applyTransform() {
+        const { x, y, k } = this.transform;
+        this.viewport.setAttribute('transform', `translate(${x} ${y}) scale(${k})`);
+    }
+
+    /**
+     * Zoom around a point
+     * @param {number} factor - Scale multiplier
+     * @param {Object} [point] - { x, y } in SVG coordinates (default: centre)
+     */
+    zoom(factor, point = { x: 0, y: 0 }) {
+        const { x, y, k } = this.transform;
+        const next = Math.min(GRAPH_CONFIG.MAX_ZOOM, Math.max(GRAPH_CONFIG.MIN_ZOOM, k * factor));
+        const ratio = next / k;
+
+        // Keep the point under the cursor still
+        this.transform = {
+            x: point.x - (point.x - x) * ratio,
+            y: point.y - (point.y - y) * ratio,
+            k: next,
+        };
+        this.applyTransform();
+    }
+
+    /**
+     * Reset zoom and pan
+     */
+    resetView() {
+        this.transform = { x: 0, y: 0, k: 1 };
+        this.applyTransform();
+    }
+
+    /**
+     * Pan so a word is in the middle of the view
+     * @param {string} word - Word
+     */
+    centerOn(word) {
+        const node = this.graph.nodes.get(word);
+        if (!node) return;
+
+        this.transform.x = -node.x * this.transform.k;
+        this.transform.y = -node.y * this.transform.k;
+        this.applyTransform();
+    }
+
+    /**
+     * Convert a pointer position to SVG coordinates
+     * @param {MouseEvent} event - Pointer event
+     * @returns {Object} { x, y }
+     */
+    toSvgPoint(event) {
+        const point = this.svg.createSVGPoint();
+        point.x = event.clientX;
+        point.y = event.clientY;
+        return point.matrixTransform(this.svg.getScreenCTM().inverse());
+    }
+
+    /**
+     * Word nearest to a node in an arrow-key direction
+     * @param {string} word - Word with focus
+     * @param {string} key - ArrowUp/ArrowDown/ArrowLeft/ArrowRight
+     * @returns {string|null} Word to move to
+     */
+    neighborInDirection(word, key) {
+        const from = this.graph.nodes.get(word);
+        const [dirX, dirY] = {
+            ArrowUp: [0, -1], ArrowDown: [0, 1], ArrowLeft: [-1, 0], ArrowRight: [1, 0],
+        }[key];
+
+        let best = null;
+        let bestScore = Infinity;
+        this.graph.nodes.forEach(node => {
+            const dx = node.x - from.x;
+            const dy = node.y - from.y;
+            const along = dx * dirX + dy * dirY;
+            if (node === from || along <= 0) return;
+
+            // Prefer close words that lie in the arrow's direction
+            const across = Math.abs(dx * dirY - dy * dirX);
+            const score = along + across * 2;
+            if (score < bestScore) {
+                bestScore = score;
+                best = node.word;
+            }
+        });
+
+        return best;
+    }
+
+    /**
+     * Activate a word: select it and expand it if needed
+     * @param {string} word - Word
+     */
+    activate(word) {
+        this.select(word);
+        const node = this.graph.nodes.get(word);
+        if (node && !node.expanded && node.status !== WordGraph.STATUS.LOADING) {
+            this.onExpand(word);
+        }
+    }
+
+    /**
+     * Wire up pointer, wheel and keyboard interaction
+     */
+    bindEvents() {
+        const canvas = this.dom.get('graphCanvas');
+
+        this.svg.addEventListener('click', (e) => {
+            const node = e.target.closest('.graph-node');
+            // A drag that moved isn't a click
+            if (node && !this.drag?.moved) {
+                this.activate(node.dataset.word);
+            }
+        });
+
+        this.svg.addEventListener('wheel', (e) => {
+            e.preventDefault();
+            this.zoom(e.deltaY < 0 ? GRAPH_CONFIG.ZOOM_STEP : 1 / GRAPH_CONFIG.ZOOM_STEP, this.toSvgPoint(e));
+        }, { passive: false });
+
+        this.svg.addEventListener('pointerdown', (e) => {
+            if (e.button !== 0) return;
+            const start = this.toSvgPoint(e);
+            this.drag = { start, origin: { ...this.transform }, moved: false, pointerId: e.pointerId };
+        });
+
+        this.svg.addEventListener('pointermove', (e) => {
+            if (!this.drag || e.pointerId !== this.drag.pointerId) return;
+
+            const point = this.toSvgPoint(e);
+            const dx = point.x - this.drag.start.x;
+            const dy = point.y - this.drag.start.y;
+
+            if (!this.drag.moved && Math.hypot(dx, dy) < 4) return;
+            if (!this.drag.moved) {
+                this.drag.moved = true;
+                this.svg.setPointerCapture(e.pointerId);
+                this.svg.classList.add('panning');
+            }
+
+            this.transform.x = this.drag.origin.x + dx;
+            this.transform.y = this.drag.origin.y + dy;
+            this.applyTransform();
+        });
+
+        const endDrag = () => {
+            this.svg.classList.remove('panning');
+            // Let the click handler see whether this was a drag
+            setTimeout(() => { this.drag = null; }, 0);
+        };
+        this.svg.addEventListener('pointerup', endDrag);
+        this.svg.addEventListener('pointercancel', endDrag);
+
+        this.svg.addEventListener('focusin', (e) => {
+            const node = e.target.closest('.graph-node');
+            if (node) this.select(node.dataset.word);
+        });
+
+        canvas.addEventListener('keydown', (e) => {
+            const node = e.target.closest?.('.graph-node');
+
+            if (node && (e.key === 'Enter' || e.key === ' ')) {
+                e.preventDefault();
+                this.activate(node.dataset.word);
+            } else if (node && e.key.startsWith('Arrow')) {
+                e.preventDefault();
+                const next = this.neighborInDirection(node.dataset.word, e.key);
+                if (next) {
+                    this.elements.nodes.get(next).focus();
+                    this.centerOn(next);
+                }
+            } else if (e.key === '+' || e.key === '=') {
+                this.zoom(GRAPH_CONFIG.ZOOM_STEP);
+            } else if (e.key === '-') {
+                this.zoom(1 / GRAPH_CONFIG.ZOOM_STEP);
+            } else if (e.key === '0') {
+                this.resetView();
+            } else if (e.key.toLowerCase() === 'l' && this.selected) {
+                this.onLookup(this.selected);
+            }
+        });
+    }
+}
+
+// ===== BACKUP (IMPORT / EXPORT) =====
+
+/**
+ * Converts favorites, collections and history to and from files.
+ * Every import format is parsed into the same shape:
+ * { favorites: [record], collections: [collection], history: [entry] }
+ */
+class DataPorter {
+    static FORMATS = {
+        JSON: 'json',
+        CSV: 'csv',
+        ANKI: 'anki',
+    };
+
+    static CSV_COLUMNS = ['type', 'word', 'added_at', 'collections', 'tags', 'note', 'lookups'];
+
+    // ----- Export -----
+
+    /**
+     * Build a versioned Wordly backup
+     * @param {Object} data - { favorites, collections, history }
+     * @returns {string} JSON text
+     */
+    static toJSON({ favorites, collections, history }) {
+        return JSON.stringify({
+            app: BACKUP_CONFIG.APP,
+            version: BACKUP_CONFIG.VERSION,
+            exportedAt: new Date().toISOString(),
+            favorites,
+            collections,
+            history,
+        }, null, 2);
+    }
+
+    /**
+     * Build a CSV with one row per favorite and per history word
+     * @param {Object} data - { favorites, collections, history }
+     * @returns {string} CSV text
+     */
+    static toCSV({ favorites, collections, history }) {
+        const namesById = new Map(collections.map(c => [c.id, c.name]));
+
+        const rows = [
+            this.CSV_COLUMNS,
+            ...favorites.map(record => [
+                'favorite',
+                record.word,
+                new Date(record.addedAt).toISOString(),
+                record.collections.map(id => namesById.get(id)).filter(Boolean).join('; '),
+                record.tags.join('; '),
+                record.note,
+                '',
+            ]),
+            ...history.map(entry => [
+                'history',
+                entry.word,
+                entry.lastSearched === null ? '' : new Date(entry.lastSearched).toISOString(),
+                '',
+                '',
+                '',
+                entry.count,
+            ]),
+        ];
+
+        return rows.map(row => row.map(value => this.escapeCSV(value)).join(',')).join('\r\n');
+    }
+
+    /**
+     * Build an Anki-compatible TSV (front: word, back: phonetic and definitions)
+     * @param {Object} data - { favorites, collections }
+     * @param {Array<Object>} wordDataList - Cached word data for definitions
+     * @returns {string} TSV text
+     */
+    static toAnki({ favorites, collections }, wordDataList) {
+        const cached = new Map(wordDataList.map(wordData => [wordData.word.toLowerCase(), wordData]));
+        const namesById = new Map(collections.map(c => [c.id, c.name]));
+
+        const lines = favorites.map(record => {
+            const tags = [
+                ...record.tags,
+                ...record.collections.map(id => namesById.get(id)).filter(Boolean),
+            ].map(tag => tag.trim().replace(/\s+/g, '_'));
+
+            return [
+                record.word,
+                this.ankiBack(cached.get(record.word.toLowerCase()), record.note),
+                ['wordly', ...tags].join(' '),
+            ].map(field => field.replace(/[\t\r\n]+/g, ' ')).join('\t');
+        });
+
+        return ['#separator:tab', '#html:true', '#tags column:3', ...lines].join('\n');
+    }
+
+    /**
+     * HTML for the back of an Anki card
+     * @param {Object|undefined} wordData - Cached word data
+     * @param {string} note - Personal note
+     * @returns {string} HTML
+     */
+    static ankiBack(wordData, note) {
+        const parts = [];
+
+        if (wordData) {
+            const entries = wordData.entries;
+            const phonetic = entries.map(entry => entry.phonetic).find(Boolean);
+            if (phonetic) {
+                parts.push(`<i>${Utils.sanitizeHTML(phonetic)}</i>`);
+            }
+
+            entries.flatMap(entry => entry.meanings).forEach(meaning => {
+                const definitions = meaning.definitions
+                    .map(def => `<li>${Utils.sanitizeHTML(def.definition)}</li>`)
+                    .join('');
+                parts.push(`<b>${Utils.sanitizeHTML(meaning.partOfSpeech)}</b><ol>${definitions}</ol>`);
+            });
+        } else {
+            parts.push('<i>Definition not cached - look this word up in Wordly before exporting.</i>');
+        }
+
+        if (note) {
+            parts.push(`<p>Note: ${Utils.sanitizeHTML(note)}</p>`);
+        }
+
+        return parts.join('');
+    }
+
+    /**
+     * Quote a CSV value when needed
+     * @param {*} value - Cell value
+     * @returns {string} Escaped cell
+     */
+    static escapeCSV(value) {
+        const text = String(value ?? '');
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    /**
+     * Save text as a file download
+     * @param {string} content - File content
+     * @param {string} fileName - Suggested file name
+     * @param {string} mimeType - MIME type
+     */
+    static download(content, fileName, mimeType) {
+        const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
+
+    // ----- Import -----
+
+    /**
+     * Parse and validate an imported file (Wordly JSON or CSV)
+     * @param {string} text - File content
+     * @returns {Object} { favorites, collections, history }
+     * @throws {Error} With a user-facing message when the file is invalid
+     */
+    static parse(text) {
+        const trimmed = text.replace(/^\uFEFF/, '').trim();
+        if (!trimmed) {
+            throw new Error('The file is empty.');
+        }
+
+        const data = trimmed.startsWith('{')
+            ? this.parseJSON(trimmed)
+            : this.parseCSV(trimmed);
+
+        if (!data.favorites.length && !data.history.length && !data.collections.length) {
+            throw new Error('The file does not contain any favorites, collections or history.');
+        }
+
+        return data;
+    }
+
+    /**
+     * Parse a Wordly JSON backup
+     * @param {string} text - JSON text
+     * @returns {Object} { favorites, collections, history }
+     */
+    static parseJSON(text) {
+        let backup;
+        try {
+            backup = JSON.parse(text);
+        } catch (error) {
+            throw new Error('The file is not valid JSON.');
+        }
+
+        if (backup?.app !== BACKUP_CONFIG.APP || !Number.isInteger(backup.version)) {
+            throw new Error('This is not a Wordly backup file.');
+        }
+
+        if (backup.version > BACKUP_CONFIG.VERSION) {
+            throw new Error('This backup was made by a newer version of Wordly. Please update and try again.');
+        }
+
+        const collections = (Array.isArray(backup.collections) ? backup.collections : [])
+            .filter(c => typeof c?.id === 'string' && typeof c.name === 'string' && c.name.trim())
+            .map(c => ({ id: c.id, name: c.name.trim(), createdAt: Number(c.createdAt) || Date.now() }));
+
+        return {
+            favorites: this.cleanFavorites(backup.favorites, collections),
+            collections,
+            history: this.cleanHistory(backup.history),
+        };
+    }
+
+    /**
+     * Parse a CSV export (collections are matched by name)
+     * @param {string} text - CSV text
+     * @returns {Object} { favorites, collections, history }
+     */
+    static parseCSV(text) {
+        const [header, ...rows] = this.parseCSVRows(text);
+        const columns = header.map(name => name.trim().toLowerCase());
+
+        if (!columns.includes('word')) {
+            throw new Error('The CSV file needs a "word" column.');
+        }
+
+        const field = (row, name) => (row[columns.indexOf(name)] ?? '').trim();
+        const collectionsByName = new Map();
+        const favorites = [];
+        const history = [];
+
+        rows.forEach(row => {
+            const word = field(row, 'word');
+            if (!word) return;
+
+            if (field(row, 'type').toLowerCase() === 'history') {
+                const time = Date.parse(field(row, 'added_at'));
+                history.push({
+                    word,
+                    count: parseInt(field(row, 'lookups'), 10) || 1,
+                    firstSearched: Number.isNaN(time) ? null : time,
+                    lastSearched: Number.isNaN(time) ? null : time,
+                });
+                return;
+            }
+
+            const collectionIds = field(row, 'collections').split(';')
+                .map(name => name.trim())
+                .filter(Boolean)
+                .map(name => {
+                    const key = name.toLowerCase();
+                    if (!collectionsByName.has(key)) {
+                        collectionsByName.set(key, FavoritesModel.createCollection(name));
+                    }
+                    return collectionsByName.get(key).id;
+                });
+
+            favorites.push({
+                word,
+                addedAt: Date.parse(field(row, 'added_at')) || Date.now(),
+                tags: FavoritesModel.parseTags(field(row, 'tags').replace(/;/g, ',')),
+                note: field(row, 'note'),
+                collections: collectionIds,
+            });
+        });
+
+        const collections = [...collectionsByName.values()];
+
+        return {
+            favorites: this.cleanFavorites(favorites, collections),
+            collections,
+            history: this.cleanHistory(history),
+        };
+    }
+
+    /**
+     * Split CSV text into rows of cells (RFC 4180 quoting)
+     * @param {string} text - CSV text
+     * @returns {Array<Array<string>>} Rows
+     */
+    static parseCSVRows(text) {
+        const rows = [];
+        let row = [];
+        let cell = '';
+        let quoted = false;
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+
+            if (quoted) {
+                if (char === '"' && text[i + 1] === '"') {
+                    cell += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    cell += char;
+                }
+            } else if (char === '"') {
+                quoted = true;
+            } else if (char === ',') {
+                row.push(cell);
+                cell = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[i + 1] === '\n') i++;
+                row.push(cell);
+                rows.push(row);
+                row = [];
+                cell = '';
+            } else {
+                cell += char;
+            }
+        }
+
+        if (quoted) {
+            throw new Error('The CSV file has an unclosed quote.');
+        }
+
+        row.push(cell);
+        rows.push(row);
+
+        return rows.filter(r => r.some(value => value.trim()));
+    }
+
+    /**
+     * Validate favorite records: unique words (ignoring case, keeping the
+     * headword's casing), known collections only
+     * @param {*} favorites - Imported favorites
+     * @param {Array<Object>} collections - Imported collections
+     * @returns {Array<Object>} Clean records
+     */
+    static cleanFavorites(favorites, collections) {
+        const collectionIds = new Set(collections.map(c => c.id));
+        const seen = new Set();
+
+        return FavoritesModel.normalize(favorites)
+            .map(record => ({
+                word: record.word.trim(),
+                addedAt: Number(record.addedAt) || Date.now(),
+                tags: Array.isArray(record.tags)
+                    ? FavoritesModel.parseTags(record.tags.filter(tag => typeof tag === 'string').join(','))
+                    : [],
+                note: typeof record.note === 'string' ? record.note : '',
+                collections: Array.isArray(record.collections)
+                    ? [...new Set(record.collections.filter(id => collectionIds.has(id)))]
+                    : [],
+            }))
+            .filter(record => {
+                const key = record.word.toLowerCase();
+                if (!key || seen.has(key)) return false;
+                seen.add(key);
+                return true;
+            });
+    }
+
+    /**
+     * Validate history: unique lowercase words, most recent first, capped
+     * (v1 backups hold plain word strings)
+     * @param {*} history - Imported history
+     * @returns {Array<Object>} Clean history entries
+     */
+    static cleanHistory(history) {
+        const seen = new Set();
+        const time = (value) => (Number.isFinite(value) ? value : null);
+
+        return this.sortHistory(
+            HistoryModel.normalize(history)
+                .map(entry => ({
+                    word: String(entry.word).trim().toLowerCase(),
+                    count: Math.max(1, parseInt(entry.count, 10) || 1),
+                    firstSearched: time(entry.firstSearched),
+                    lastSearched: time(entry.lastSearched),
+                }))
+                .filter(entry => {
+                    if (!entry.word || seen.has(entry.word)) return false;
+                    seen.add(entry.word);
+                    return true;
+                })
+        );
+    }
+
+    /**
+     * Order history most recent first (undated entries keep their order, last)
+     * @param {Array<Object>} history - History entries
+     * @returns {Array<Object>} Sorted and capped history
+     */
+    static sortHistory(history) {
+        return [...history]
+            .sort((a, b) => (b.lastSearched ?? -Infinity) - (a.lastSearched ?? -Infinity) || 0)
+            .slice(0, APP_CONSTANTS.MAX_HISTORY_ITEMS);
+    }
+
+    /**
+     * Merge imported data into the current data. Existing records win,
+     * but gain the imported tags and collections; collections with the
+     * same name are combined.
+     * @param {Object} current - { favorites, collections, history }
+     * @param {Object} incoming - Parsed import
+     * @returns {Object} Merged { favorites, collections, history }
+     */
+    static merge(current, incoming) {
+        const collections = current.collections.map(c => ({ ...c }));
+        const idMap = new Map();
+
+        incoming.collections.forEach(collection => {
+            const existing = collections.find(c =>
+                c.id === collection.id || c.name.toLowerCase() === collection.name.toLowerCase()
+            );
+
+            if (existing) {
+                idMap.set(collection.id, existing.id);
+            } else {
+                collections.push(collection);
+                idMap.set(collection.id, collection.id);
+            }
+        });
+
+        const favorites = current.favorites.map(record => ({
+            ...record,
+            tags: [...record.tags],
+            collections: [...record.collections],
+        }));
+
+        incoming.favorites.forEach(record => {
+            const ids = record.collections.map(id => idMap.get(id)).filter(Boolean);
+            const existing = FavoritesModel.find(favorites, record.word);
+
+            if (existing) {
+                existing.tags = [...new Set([...existing.tags, ...record.tags])];
+                existing.collections = [...new Set([...existing.collections, ...ids])];
+                existing.note = existing.note || record.note;
+                existing.addedAt = Math.min(existing.addedAt, record.addedAt);
+            } else {
+                favorites.push({ ...record, collections: ids });
+            }
+        });
+
+        // The same lookups may be in both, so keep the larger count rather than adding
+        const history = current.history.map(entry => ({ ...entry }));
+        incoming.history.forEach(entry => {
+            const existing = history.find(e => e.word === entry.word);
+
+            if (existing) {
+                existing.count = Math.max(existing.count, entry.count);
+                existing.lastSearched = Math.max(existing.lastSearched ?? -Infinity, entry.lastSearched ?? -Infinity);
+                existing.firstSearched = Math.min(existing.firstSearched ?? Infinity, entry.firstSearched ?? Infinity);
+                if (!Number.isFinite(existing.lastSearched)) existing.lastSearched = null;
+                if (!Number.isFinite(existing.firstSearched)) existing.firstSearched = null;
+            } else {
+                history.push({ ...entry });
+            }
+        });
+
+        return { favorites, collections, history: this.sortHistory(history) };
+    }
+}
+
+// ===== MAIN APPLICATION =====
+
+/**
+ * Main Wordly application class
+ */
+class WordlyApp {
+    constructor() {
+        this.dom = new DOMManager();
+        this.ui = new UIManager(this.dom);
+        this.theme = new ThemeManager(this.dom);
+        this.sidebar = new SidebarManager(this.dom);
+        this.serviceWorker = new ServiceWorkerManager();
+        this.sync = new StorageSync();
+        this.router = new Router();
+        this.autocomplete = new AutocompleteManager(this.dom);
+        this.panels = new PanelManager();
+        this.review = new ReviewManager(this.dom);
+        this.quiz = new QuizManager(this.dom);
+        this.stats = new StatsManager(this.dom);
+        this.graphView = new GraphView(this.dom);
+        this.activeSearch = null; // AbortController of the search in progress
+
+        // Application state
+        this.state = {
+            currentWord: null,
+            currentQuery: null,
+            searchHistory: [],
+            favorites: [],
+            collections: [],
+            favoritesFilter: { collectionId: FavoritesModel.ALL, tag: null },
+            historyView: { query: '', sort: HistoryModel.SORT.RECENT },
+            renamingCollectionId: null,
+            reviews: {},
+            activity: {},
+            settings: { ...SETTINGS_CONFIG.DEFAULTS },
+            trail: [], // Words followed from definitions, ending with the current one
+            graph: null, // WordGraph centred on the current word
+        };
+
+    }
+
+    /**
+     * Initialize the application
+     */
+    async initialize() {
+        console.log('🚀 Wordly Dictionary App initialized!');
+
+        // Load saved data
+        this.loadSavedData();
+
+        // Initialize theme
+        this.theme.initialize();
+
+        // Pick up changes made in other tabs
+        this.sync.start({
+            [STORAGE_KEYS.FAVORITES]: () => this.handleSyncedFavorites(),
+            [STORAGE_KEYS.COLLECTIONS]: () => this.handleSyncedFavorites(),
+            [STORAGE_KEYS.SEARCH_HISTORY]: () => this.handleSyncedHistory(),
+            [STORAGE_KEYS.REVIEWS]: () => this.handleSyncedReviews(),
+            [STORAGE_KEYS.THEME]: () => this.theme.initialize(),
+            [STORAGE_KEYS.ACTIVITY]: () => this.handleSyncedActivity(),
+            [STORAGE_KEYS.SETTINGS]: () => this.handleSyncedSettings(),
+        });
+
+        // Setup event listeners
+        this.setupEventListeners();
+
+        // Override UI word tag click handler
+        // Related words on an entry continue the trail; spelling suggestions start over
+        this.ui.onWordTagClick = (word) => this.searchWord(word, {
+            follow: !this.dom.get('wordDisplay').classList.contains('hidden')
+        });
+
+        // Search-as-you-type suggestions
+        this.autocomplete.initialize((word) => this.searchWord(word));
+
+        // Flashcard review
+        this.review.onGrade = (word, grade) => this.gradeReview(word, grade);
+        this.review.loadEntry = (word) => DictionaryAPI.fetchWord(word);
+        this.updateReviewBadge();
+
+        // Quiz
+        this.quiz.onRestart = () => this.startQuiz({ updateRoute: false });
+
+        // Offline support
+        this.ui.updateConnectionStatus(navigator.onLine);
+        this.serviceWorker.register(() => this.ui.showUpdatePrompt());
+
+        // Back/forward navigation
+        this.router.start((route) => this.handleRoute(route));
+
+        // Restore the view from the URL (falls back to the default word)
+        await this.restoreRoute();
+
+        // Announce keyboard shortcuts
+        console.log('⌨️  Keyboard shortcuts:');
+        console.log('  • Press "/" to focus search');
+        console.log('  • Press "Esc" to close sidebars');
+        console.log('  • In review, press "Space" to reveal and "1"-"4" to grade');
+    }
+
+    /**
+     * Load saved data from localStorage
+     */
+    loadSavedData() {
+        // Bring data saved by older versions up to the current schema
+        StorageSchema.migrate();
+
+        this.state.searchHistory = StorageSchema.load(
+            STORAGE_KEYS.SEARCH_HISTORY,
+            []
+        );
+
+        this.state.favorites = StorageSchema.load(
+            STORAGE_KEYS.FAVORITES,
+            []
+        );
+
+        this.state.collections = StorageSchema.load(
+            STORAGE_KEYS.COLLECTIONS,
+            []
+        );
+
+        this.state.reviews = StorageSchema.load(
+            STORAGE_KEYS.REVIEWS,
+            {}
+        );
+
+        this.state.activity = StorageSchema.load(
+            STORAGE_KEYS.ACTIVITY,
+            {}
+        );
+
+        this.state.settings = StorageSchema.load(
+            STORAGE_KEYS.SETTINGS,
+            { ...SETTINGS_CONFIG.DEFAULTS }
+        );
+        this.ui.speech.configure(this.state.settings);
+        this.ui.setPlaybackOptions(this.state.settings);
+
+        StorageManager.onQuotaExceeded = (result) => this.handleQuotaExceeded(result);
+    }
+
+    /**
+     * Re-read saved data another tab may have changed. Called before every
+     * change so edits apply on top of the latest data instead of
+     * overwriting it with this tab's stale copy.
+     */
+    reloadSavedData() {
+        this.state.searchHistory = StorageSchema.load(STORAGE_KEYS.SEARCH_HISTORY, []);
+        this.state.favorites = StorageSchema.load(STORAGE_KEYS.FAVORITES, []);
+        this.state.collections = StorageSchema.load(STORAGE_KEYS.COLLECTIONS, []);
+        this.state.reviews = StorageSchema.load(STORAGE_KEYS.REVIEWS, {});
+        this.state.activity = StorageSchema.load(STORAGE_KEYS.ACTIVITY, {});
+    }
+
+    /**
+     * Another tab changed favorites or collections
+     */
+    handleSyncedFavorites() {
+        this.state.favorites = StorageSchema.load(STORAGE_KEYS.FAVORITES, []);
+        this.state.collections = StorageSchema.load(STORAGE_KEYS.COLLECTIONS, []);
+        this.refreshFavorites();
+
+        // Keep an open picker's checkboxes current
+        if (this.ui.isFavoritePickerOpen() && this.state.currentWord) {
+            const record = FavoritesModel.find(this.state.favorites, this.state.currentWord.word);
+            this.ui.renderPickerCollections(record, this.state.collections);
+        }
+    }
+
+    /**
+     * Another tab changed the search history
+     */
+    handleSyncedHistory() {
+        this.state.searchHistory = StorageSchema.load(STORAGE_KEYS.SEARCH_HISTORY, []);
+
+        if (this.sidebar.activeSidebar === this.dom.get('historySidebar')) {
+            this.renderHistory();
+        }
+    }
+
+    /**
+     * Another tab graded reviews
+     */
+    handleSyncedReviews() {
+        this.state.reviews = StorageSchema.load(STORAGE_KEYS.REVIEWS, {});
+        this.updateReviewBadge();
+    }
+
+    /**
+     * Another tab recorded activity
+     */
+    handleSyncedActivity() {
+        this.state.activity = StorageSchema.load(STORAGE_KEYS.ACTIVITY, {});
+
+        if (this.panels.activePanel === this.dom.get('statsView')) {
+            this.showStats({ updateRoute: false });
+        }
+    }
+
+    /**
+     * Another tab changed settings
+     */
+    handleSyncedSettings() {
+        this.state.settings = StorageSchema.load(STORAGE_KEYS.SETTINGS, { ...SETTINGS_CONFIG.DEFAULTS });
+        this.ui.speech.configure(this.state.settings);
+        this.ui.setPlaybackOptions(this.state.settings);
+
+        if (this.panels.activePanel === this.dom.get('settingsView')) {
+            this.renderSettings();
+        }
+    }
+
+    /**
+     * Keep state in step with data trimmed to fit the storage quota
+     * @param {Object} result - { key, trimmed, saved } from StorageManager
+     */
+    handleQuotaExceeded({ key, trimmed, saved }) {
+        if (trimmed.includes(STORAGE_KEYS.SEARCH_HISTORY)) {
+            this.state.searchHistory = StorageSchema.load(STORAGE_KEYS.SEARCH_HISTORY, []);
+        }
+
+        if (trimmed.includes(STORAGE_KEYS.REVIEWS)) {
+            this.state.reviews = StorageSchema.load(STORAGE_KEYS.REVIEWS, {});
+        }
+
+        if (trimmed.includes(STORAGE_KEYS.ACTIVITY)) {
+            this.state.activity = StorageSchema.load(STORAGE_KEYS.ACTIVITY, {});
+        }
+
+        if (!saved) {
+            this.ui.toggleStorageWarning(true);
+            console.error(`Unsaved storage key: ${key}`);
+        }
+    }
+
+    /**
+     * Setup all event listeners
+     */
+    setupEventListeners() {
+        // Search form
+        this.dom.get('searchForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.autocomplete.close();
+            const word = this.dom.get('wordInput').value.trim();
+            if (word) {
+                this.searchWord(word);
+            }
+        });
+
+        // Suggestions while typing
+        const updateSuggestions = Utils.debounce(
+            () => this.updateSuggestions(),
+            AUTOCOMPLETE_CONFIG.DEBOUNCE_MS
+        );
+        this.dom.get('wordInput').addEventListener('input', updateSuggestions);
+
+        // Quick action buttons
+        this.dom.get('randomWordBtn').addEventListener('click', () => {
+            this.searchRandomWord();
+        });
+
+        this.dom.get('historyBtn').addEventListener('click', () => {
+            this.showHistory();
+        });
+
+        this.dom.get('favoritesBtn').addEventListener('click', () => {
+            this.showFavorites();
+        });
+
+        this.dom.get('reviewBtn').addEventListener('click', () => {
+            this.startReview();
+        });
+
+        this.dom.get('closeReviewBtn').addEventListener('click', () => {
+            this.closePanel();
+        });
+
+        this.dom.get('quizBtn').addEventListener('click', () => {
+            this.startQuiz();
+        });
+
+        this.dom.get('closeQuizBtn').addEventListener('click', () => {
+            this.closePanel();
+        });
+
+        // Backup (import/export)
+        this.dom.get('backupBtn').addEventListener('click', () => {
+            this.showBackup();
+        });
+
+        this.dom.get('closeBackupBtn').addEventListener('click', () => {
+            this.closePanel();
+        });
+
+        // Word of the Day
+        this.dom.get('wordOfDayBtn').addEventListener('click', () => {
+            this.searchWordOfTheDay();
+        });
+
+        // Settings
+        this.dom.get('settingsBtn').addEventListener('click', () => {
+            this.showSettings();
+        });
+
+        this.dom.get('closeSettingsBtn').addEventListener('click', () => {
+            this.closePanel();
+        });
+
+        this.dom.get('settingsForm').addEventListener('change', () => {
+            this.saveSettings();
+        });
+
+        this.dom.get('settingsForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.saveSettings();
+        });
+
+        this.dom.get('speechRateInput').addEventListener('input', (e) => {
+            this.dom.get('speechRateValue').textContent = `${Number(e.target.value).toFixed(1)}×`;
+        });
+
+        this.dom.get('testVoiceBtn').addEventListener('click', () => {
+            const word = this.state.currentWord?.word || APP_CONSTANTS.DEFAULT_WORD;
+            this.ui.speech.speak(`This is how ${word} sounds.`, this.dom.get('testVoiceBtn'));
+        });
+
+        // Learning stats
+        this.dom.get('statsBtn').addEventListener('click', () => {
+            this.showStats();
+        });
+
+        this.dom.get('closeStatsBtn').addEventListener('click', () => {
+            this.closePanel();
+        });
+
+        this.dom.get('graphBtn').addEventListener('click', () => {
+            this.showGraph();
+        });
+
+        this.dom.get('closeGraphBtn').addEventListener('click', () => {
+            this.closePanel();
+        });
+
+        this.graphView.onExpand = (word) => this.expandGraphNode(word);
+        this.graphView.onLookup = (word) => this.searchWord(word);
+
+        this.dom.get('graphLookupBtn').addEventListener('click', () => {
+            this.searchWord(this.graphView.selected);
+        });
+
+        this.dom.get('graphZoomInBtn').addEventListener('click', () => {
+            this.graphView.zoom(GRAPH_CONFIG.ZOOM_STEP);
+        });
+
+        this.dom.get('graphZoomOutBtn').addEventListener('click', () => {
+            this.graphView.zoom(1 / GRAPH_CONFIG.ZOOM_STEP);
+        });
+
+        this.dom.get('graphResetBtn').addEventListener('click', () => {
+            this.graphView.resetView();
+        });
+
+        this.dom.get('exportButtons').addEventListener('click', (e) => {
+            const btn = e.target.closest('[data-format]');
+            if (btn) {
+                this.exportData(btn.dataset.format);
+            }
+        });
+
+        this.dom.get('importForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            const file = this.dom.get('importFileInput').files[0];
+            const mode = new FormData(e.target).get('importMode');
+            this.importData(file, mode);
+        });
+
+        // Favorite button
+        this.dom.get('favoriteBtn').addEventListener('click', () => {
+            this.toggleFavorite();
+        });
+
+        // Favorite picker (collections, tags, notes)
+        this.dom.get('collectionPickerBtn').addEventListener('click', () => {
+            if (this.ui.isFavoritePickerOpen()) {
+                this.ui.hideFavoritePicker();
+            } else {
+                this.openFavoritePicker();
+            }
+        });
+
+        this.dom.get('pickerCollections').addEventListener('change', (e) => {
+            if (e.target.type === 'checkbox') {
+                this.setWordInCollection(e.target.value, e.target.checked);
+            }
+        });
+
+        this.dom.get('pickerNewCollectionForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            const input = this.dom.get('pickerNewCollectionInput');
+            const collection = this.createCollection(input.value);
+            if (collection) {
+                input.value = '';
+                this.setWordInCollection(collection.id, true);
+            }
+        });
+
+        this.dom.get('pickerDoneBtn').addEventListener('click', () => {
+            this.saveFavoriteDetails({ save: true });
+            this.ui.hideFavoritePicker();
+        });
+
+        this.dom.get('pickerRemoveBtn').addEventListener('click', () => {
+            this.ui.hideFavoritePicker();
+            this.toggleFavorite();
+        });
+
+        // Collection management
+        this.dom.get('collectionSelect').addEventListener('change', (e) => {
+            this.state.favoritesFilter.collectionId = e.target.value;
+            this.renderFavorites();
+        });
+
+        this.dom.get('collectionForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.submitCollectionForm();
+        });
+
+        this.dom.get('renameCollectionBtn').addEventListener('click', () => {
+            this.startRenameCollection();
+        });
+
+        this.dom.get('deleteCollectionBtn').addEventListener('click', () => {
+            this.deleteCollection(this.state.favoritesFilter.collectionId);
+        });
+
+        this.dom.get('clearTagFilterBtn').addEventListener('click', () => {
+            this.state.favoritesFilter.tag = null;
+            this.renderFavorites();
+        });
+
+        // Sidebar close buttons
+        this.dom.get('closeHistoryBtn').addEventListener('click', () => {
+            this.closeSidebar();
+        });
+
+        this.dom.get('closeFavoritesBtn').addEventListener('click', () => {
+            this.closeSidebar();
+        });
+
+        this.dom.get('sidebarOverlay').addEventListener('click', () => {
+            this.closeSidebar();
+        });
+
+        // Clear buttons
+        this.dom.get('clearHistoryBtn').addEventListener('click', () => {
+            this.clearHistory();
+        });
+
+        // History filter and sort
+        this.dom.get('historyFilter').addEventListener('input', (e) => {
+            this.state.historyView.query = e.target.value;
+            this.renderHistory();
+        });
+
+        this.dom.get('historySort').addEventListener('change', (e) => {
+            this.state.historyView.sort = e.target.value;
+            this.renderHistory();
+        });
+
+        this.dom.get('clearFavoritesBtn').addEventListener('click', () => {
+            this.clearFavorites();
+        });
+
+        // Theme toggle
+        this.dom.get('themeToggle').addEventListener('click', () => {
+            this.theme.toggle();
+        });
+
+        // Connection status
+        window.addEventListener('online', () => {
+            this.ui.updateConnectionStatus(true);
+        });
+
+        window.addEventListener('offline', () => {
+            this.ui.updateConnectionStatus(false);
+        });
+
+        // Update prompt
+        this.dom.get('updateReloadBtn').addEventListener('click', () => {
+            this.serviceWorker.applyUpdate();
+        });
+
+        this.dom.get('updateDismissBtn').addEventListener('click', () => {
+            this.ui.hideUpdatePrompt();
+        });
+
+        // Storage full warning
+        this.dom.get('storageBackupBtn').addEventListener('click', () => {
+            this.ui.toggleStorageWarning(false);
+            this.showBackup();
+        });
+
+        this.dom.get('storageDismissBtn').addEventListener('click', () => {
+            this.ui.toggleStorageWarning(false);
+        });
+
+        // Words inside definitions and examples
+        const meaningsContainer = this.dom.get('meaningsContainer');
+        meaningsContainer.addEventListener('click', (e) => {
+            const link = e.target.closest('.word-link');
+            if (link) {
+                this.followWordLink(link.dataset.word);
+            }
+        });
+        meaningsContainer.addEventListener('keydown', (e) => {
+            const link = e.target.closest('.word-link');
+            if (!link) return;
+
+            if (e.key === 'Enter' || e.key === ' ') {
+                e.preventDefault();
+                this.followWordLink(link.dataset.word);
+            } else if (e.key === 'ArrowRight' || e.key === 'ArrowLeft') {
+                e.preventDefault();
+                this.ui.moveWordLinkFocus(link, e.key === 'ArrowRight' ? 1 : -1);
+            }
+        });
+
+        // Error card actions
+        this.dom.get('errorRetryBtn').addEventListener('click', () => {
+            this.searchWord(this.state.currentQuery, { replaceRoute: true });
+        });
+
+        this.dom.get('errorCachedBtn').addEventListener('click', (e) => {
+            this.showCachedVersion(e.currentTarget.dataset.word);
+        });
+
+        this.dom.get('errorBaseFormBtn').addEventListener('click', (e) => {
+            // Cached entries load without the network
+            this.searchWord(e.currentTarget.dataset.word, { replaceRoute: true });
+        });
+
+        // Breadcrumb trail
+        this.dom.get('wordTrailList').addEventListener('click', (e) => {
+            const crumb = e.target.closest('.word-trail-link');
+            if (crumb) {
+                this.searchWord(crumb.dataset.word);
+            }
+        });
+
+        // Playback speed and repeat
+        this.dom.get('playbackControls').addEventListener('click', (e) => {
+            const rate = e.target.closest('[data-rate]');
+            if (rate) {
+                this.updatePlaybackOptions({ playbackRate: Number(rate.dataset.rate) });
+            } else if (e.target.closest('#loopBtn')) {
+                this.updatePlaybackOptions({ loopAudio: !this.state.settings.loopAudio });
+            }
+        });
+
+        // Keyboard shortcuts
+        document.addEventListener('keydown', (e) => {
+            this.handleKeyboard(e);
+        });
+
+        // History list clicks
+        this.dom.get('historyList').addEventListener('click', (e) => {
+            const remove = e.target.closest('.history-delete-btn');
+            if (remove) {
+                this.removeFromHistory(remove.dataset.word);
+                return;
+            }
+
+            const open = e.target.closest('.history-item-open');
+            if (open) {
+                this.searchWord(open.dataset.word);
+                this.sidebar.closeAll();
+            }
+        });
+
+        // Favorites list clicks (tag chips filter the list)
+        this.dom.get('favoritesList').addEventListener('click', (e) => {
+            const tag = e.target.closest('.tag-chip');
+            if (tag) {
+                this.state.favoritesFilter.tag = tag.dataset.tag;
+                this.renderFavorites();
+                return;
+            }
+
+            const item = e.target.closest('.sidebar-list-item');
+            if (item) {
+                this.searchWord(item.dataset.word);
+                this.sidebar.closeAll();
+            }
+        });
+
+        // Close the favorite picker when clicking elsewhere
+        document.addEventListener('click', (e) => {
+            if (this.ui.isFavoritePickerOpen() &&
+                !e.target.closest('#favoritePicker, #collectionPickerBtn')) {
+                this.saveFavoriteDetails();
+                this.ui.hideFavoritePicker();
+            }
+        });
+    }
+
+    /**
+     * Rank and show suggestions for the current input
+     */
+    async updateSuggestions() {
+        const input = this.dom.get('wordInput');
+        const query = input.value.trim();
+
+        // Nothing typed, focus moved away, or the word was just searched
+        if (!query || document.activeElement !== input ||
+            query.toLowerCase() === this.state.currentQuery) {
+            this.autocomplete.close();
+            return;
+        }
+
+        const [cached, wordList] = await Promise.all([
+            EntryCache.keys(),
+            WordList.load()
+        ]);
+
+        // The user may have kept typing while sources loaded
+        if (input.value.trim() !== query) return;
+
+        const suggestions = SuggestionEngine.rank(query, {
+            favorites: FavoritesModel.words(this.state.favorites),
+            history: HistoryModel.words(this.state.searchHistory),
+            cached,
+            wordList
+        });
+
+        this.autocomplete.show(suggestions, query);
+    }
+
+    /**
+     * Handle keyboard shortcuts
+     * @param {KeyboardEvent} event - Keyboard event
+     */
+    handleKeyboard(event) {
+        // Focus search with "/"
+        if (event.key === '/' && 
+            document.activeElement !== this.dom.get('wordInput')) {
+            event.preventDefault();
+            this.dom.get('wordInput').focus();
+        }
+
+        // Close the favorite picker with Escape
+        if (event.key === 'Escape' && this.ui.isFavoritePickerOpen()) {
+            this.saveFavoriteDetails();
+            this.ui.hideFavoritePicker();
+            this.dom.get('collectionPickerBtn').focus();
+            return;
+        }
+
+        // Close sidebars with Escape
+        if (event.key === 'Escape' && this.sidebar.isOpen()) {
+            this.closeSidebar();
+            return;
+        }
+
+        const isTyping = ['INPUT', 'TEXTAREA', 'SELECT'].includes(document.activeElement?.tagName);
+
+        // Replay the pronunciation of the word on screen
+        if (event.key?.toLowerCase() === PRONUNCIATION_CONFIG.REPLAY_KEY &&
+            !event.ctrlKey && !event.metaKey && !event.altKey && !isTyping &&
+            !this.panels.isOpen() && !this.sidebar.isOpen() && this.state.currentWord) {
+            if (this.ui.playPronunciation()) {
+                event.preventDefault();
+            }
+            return;
+        }
+
+        // Panel shortcuts (unless typing in a text field)
+        if (!this.panels.isOpen() || this.sidebar.isOpen() ||
+            document.activeElement?.tagName === 'INPUT') {
+            return;
+        }
+
+        if (event.key === 'Escape') {
+            this.closePanel();
+        } else if (this.panels.activePanel === this.dom.get('reviewView')) {
+            this.review.handleKeydown(event);
+        } else if (this.panels.activePanel === this.dom.get('quizView')) {
+            this.quiz.handleKeydown(event);
+        }
+    }
+
+    /**
+     * Restore the view for the current URL on load
+     */
+    async restoreRoute() {
+        const route = this.router.current();
+
+        if (route.view === ROUTES.WORD) {
+            await this.searchWord(route.word, { replaceRoute: true });
+            return;
+        }
+
+        // Sidebar and panel routes open on top of the default word
+        if (route.view === ROUTES.FAVORITES) {
+            this.showFavorites({ updateRoute: false });
+        } else if (route.view === ROUTES.HISTORY) {
+            this.showHistory({ updateRoute: false });
+        } else if (route.view === ROUTES.REVIEW) {
+            this.startReview({ updateRoute: false });
+        } else if (route.view === ROUTES.QUIZ) {
+            this.startQuiz({ updateRoute: false });
+        } else if (route.view === ROUTES.BACKUP) {
+            this.showBackup({ updateRoute: false });
+        } else if (route.view === ROUTES.STATS) {
+            this.showStats({ updateRoute: false });
+        } else if (route.view === ROUTES.SETTINGS) {
+            this.showSettings({ updateRoute: false });
+        }
+
+        await this.searchWord(await this.startupWord(), {
+            updateRoute: route.view === null,
+            replaceRoute: true
+        });
+
+        // The graph is centred on a word, so it opens once one has loaded
+        if (route.view === ROUTES.GRAPH) {
+            this.showGraph({ updateRoute: false });
+        }
+    }
+
+    /**
+     * Word to open on startup, per the startup word setting
+     * @returns {Promise<string>} Word
+     */
+    async startupWord() {
+        const { startupWord, fixedWord } = this.state.settings;
+        const { STARTUP } = SETTINGS_CONFIG;
+
+        if (startupWord === STARTUP.LAST_VIEWED && this.state.searchHistory.length) {
+            return this.state.searchHistory[0].word;
+        }
+
+        if (startupWord === STARTUP.FIXED && fixedWord.trim()) {
+            return fixedWord;
+        }
+
+        if (startupWord === STARTUP.WORD_OF_THE_DAY) {
+            const word = WordPool.wordOfTheDay(await WordPool.load());
+            if (word) return word;
+        }
+
+        return APP_CONSTANTS.DEFAULT_WORD;
+    }
+
+    /**
+     * Apply a route after back/forward navigation
+     * @param {Object} route - Route from the router
+     */
+    handleRoute(route) {
+        switch (route.view) {
+            case ROUTES.FAVORITES:
+                this.showFavorites({ updateRoute: false });
+                break;
+
+            case ROUTES.HISTORY:
+                this.showHistory({ updateRoute: false });
+                break;
+
+            case ROUTES.REVIEW:
+                this.sidebar.closeAll();
+                this.startReview({ updateRoute: false });
+                break;
+
+            case ROUTES.QUIZ:
+                this.sidebar.closeAll();
+                this.startQuiz({ updateRoute: false });
+                break;
+
+            case ROUTES.BACKUP:
+                this.showBackup({ updateRoute: false });
+                break;
+
+            case ROUTES.STATS:
+                this.showStats({ updateRoute: false });
+                break;
+
+            case ROUTES.SETTINGS:
+                this.showSettings({ updateRoute: false });
+                break;
+
+            case ROUTES.GRAPH:
+                this.showGraph({ updateRoute: false });
+                break;
+
+            case ROUTES.WORD:
+                this.sidebar.closeAll();
+                this.panels.close();
+                if (route.word.toLowerCase() !== this.state.currentQuery) {
+                    this.searchWord(route.word, { updateRoute: false });
+                }
+                break;
+
+            default:
+                this.sidebar.closeAll();
+                this.panels.close();
+        }
+    }
+
+    /**
+     * Check if the URL currently points at a sidebar
+     * @returns {boolean} True for #/favorites and #/history
+     */
+    isSidebarRoute() {
+        const { view } = this.router.current();
+        return view === ROUTES.FAVORITES || view === ROUTES.HISTORY;
+    }
+
+    /**
+     * Route for the word currently on screen
+     * @returns {Object} Word route
+     */
+    currentWordRoute() {
+        return {
+            view: ROUTES.WORD,
+            word: this.state.currentQuery || APP_CONSTANTS.DEFAULT_WORD
+        };
+    }
+
+    /**
+     * Navigate to a sidebar route; switching between sidebars replaces the entry
+     * @param {string} view - ROUTES.FAVORITES or ROUTES.HISTORY
+     */
+    navigateToSidebar(view) {
+        const replace = this.isSidebarRoute();
+        const state = replace ? history.state : { sidebar: true };
+        this.router.navigate({ view }, { replace, state });
+    }
+
+    /**
+     * Close sidebars and return the URL to the current word
+     */
+    closeSidebar() {
+        this.sidebar.closeAll();
+
+        if (!this.isSidebarRoute()) return;
+
+        if (history.state?.sidebar) {
+            // We pushed the sidebar entry - step back over it
+            history.back();
+        } else {
+            // Opened from a deep link - there is nothing to go back to
+            this.router.navigate(this.currentWordRoute(), { replace: true });
+        }
+    }
+
+    /**
+     * Check if the URL currently points at a panel
+     * @returns {boolean} True for #/review, #/quiz, #/backup, #/stats, #/settings and #/graph
+     */
+    isPanelRoute() {
+        const { view } = this.router.current();
+        return [ROUTES.REVIEW, ROUTES.QUIZ, ROUTES.BACKUP, ROUTES.STATS, ROUTES.SETTINGS, ROUTES.GRAPH].includes(view);
+    }
+
+    /**
+     * Navigate to a panel route; switching between panels replaces the entry
+     * @param {string} view - A panel route (review, quiz, backup, stats, settings or graph)
+     */
+    navigateToPanel(view) {
+        const replace = this.isPanelRoute();
+        const state = replace ? history.state : { panel: true };
+        this.router.navigate({ view }, { replace, state });
+    }
+
+    /**
+     * Close the active panel and return the URL to the current word
+     */
+    closePanel() {
+        this.panels.close();
+
+        if (!this.isPanelRoute()) return;
+
+        if (history.state?.panel) {
+            history.back();
+        } else {
+            this.router.navigate(this.currentWordRoute(), { replace: true });
+        }
+    }
+
+    /**
+     * Search for a word
+     * @param {string} word - Word to search
+     * @param {Object} [options] - Search options
+     * @param {boolean} [options.updateRoute=true] - Reflect the word in the URL
+     * @param {boolean} [options.replaceRoute=false] - Replace instead of push the history entry
+     * @param {boolean} [options.follow=false] - Followed from the word on screen (extends the trail)
+     */
+    async searchWord(word, { updateRoute = true, replaceRoute = false, follow = false } = {}) {
+        if (!word || word.trim() === '') {
+            this.ui.showError(
+                'Invalid Input',
+                'Please enter a word to look up.'
+            );
+            return;
+        }
+
+        const cleanWord = word.trim().toLowerCase();
+        this.state.currentQuery = cleanWord;
+        this.ui.hideFavoritePicker();
+
+        // Latest search wins: cancel the one still loading. The controller
+        // doubles as this search's token.
+        this.activeSearch?.abort();
+        const search = new AbortController();
+        this.activeSearch = search;
+
+        // Update URL (a search started from a sidebar replaces the sidebar entry)
+        if (updateRoute) {
+            // A new search brings the word display back
+            this.panels.close();
+
+            this.router.navigate(
+                { view: ROUTES.WORD, word: cleanWord },
+                { replace: replaceRoute || this.isSidebarRoute() }
+            );
+        }
+
+        // Update input field
+        this.dom.get('wordInput').value = cleanWord;
+
+        // Show loading
+        this.ui.showLoading();
+
+        try {
+            // Fetch word data (cached entries are refreshed in the background)
+            const wordData = await DictionaryAPI.fetchWord(cleanWord, {
+                onUpdate: (freshData) => this.handleEntryRefresh(freshData),
+                signal: search.signal
+            });
+
+            // A newer search started while this one loaded
+            if (this.activeSearch !== search) return;
+
+            this.showWordData(wordData, { follow });
+
+        } catch (error) {
+            // Superseded searches (including aborted ones) fail silently
+            if (this.activeSearch !== search) return;
+
+            console.error('Error searching word:', error);
+            this.handleSearchError(error, cleanWord);
+        }
+    }
+
+    /**
+     * Display looked-up word data: state, history, rendering and autoplay
+     * @param {Object} wordData - Word data
+     * @param {Object} [options] - Display options
+     * @param {boolean} [options.follow=false] - Followed from the word on screen (extends the trail)
+     */
+    showWordData(wordData, { follow = false } = {}) {
+        // Update state
+        this.state.currentWord = wordData;
+
+        // Add to history
+        this.addToHistory(wordData.word);
+
+        // Render word
+        const isFavorite = this.isFavorite(wordData.word);
+        this.ui.renderWord(wordData, isFavorite);
+        this.updateWordOfDayBadge(wordData.word);
+        this.updateTrail(wordData.word, follow);
+
+        if (this.state.settings.autoplay) {
+            this.ui.playPronunciation();
+        }
+    }
+
+    /**
+     * Extend, rewind or restart the breadcrumb trail for a word now on screen
+     * @param {string} word - Word shown
+     * @param {boolean} follow - Whether it was followed from the previous word
+     */
+    updateTrail(word, follow) {
+        const { trail } = this.state;
+        const index = trail.indexOf(word);
+
+        if (index !== -1) {
+            // Back to a word already in the trail (breadcrumb or browser back)
+            this.state.trail = trail.slice(0, index + 1);
+        } else if (follow && trail.length > 0) {
+            this.state.trail = [...trail, word].slice(-WORD_LINK_CONFIG.MAX_TRAIL);
+        } else {
+            this.state.trail = [word];
+        }
+
+        this.ui.renderTrail(this.state.trail);
+    }
+
+    /**
+     * Look up a word clicked inside a definition, using its base form
+     * @param {string} word - Word as written, lowercased
+     */
+    async followWordLink(word) {
+        const [wordList, cached, pool] = await Promise.all([
+            WordList.load(),
+            EntryCache.keys(),
+            WordPool.load()
+        ]);
+
+        const known = new Set([
+            ...wordList,
+            ...cached,
+            ...pool.words.map(entry => entry.word),
+            ...HistoryModel.words(this.state.searchHistory),
+            ...FavoritesModel.words(this.state.favorites)
+        ]);
+
+        this.searchWord(WordLinker.resolve(word, known), { follow: true });
+    }
+
+    /**
+     * Re-render the current word when its cached entry was refreshed
+     * @param {Object} wordData - Fresh word data
+     */
+    handleEntryRefresh(wordData) {
+        if (this.state.currentWord?.word !== wordData.word) return;
+
+        this.state.currentWord = wordData;
+        const isFavorite = this.isFavorite(wordData.word);
+        this.ui.renderWord(wordData, isFavorite);
+    }
+
+    /**
+     * Handle search errors: explain them, then offer Retry and any cached version
+     * @param {Error} error - Error object
+     * @param {string} word - Word that was searched
+     */
+    async handleSearchError(error, word) {
+        this.showSearchError(error, word);
+
+        if (error instanceof WordNotFoundError) return;
+
+        // Offer a retry, the word's cached copy and its saved base form, where they exist
+        const [cached, baseForm] = await Promise.all([
+            EntryCache.get(word),
+            this.findCachedBaseForm(word),
+        ]);
+        if (this.state.currentQuery !== word) return; // The user moved on
+
+        this.ui.showErrorActions({
+            retry: !(error instanceof DictionaryError) || error.retryable,
+            cachedWord: cached ? word : null,
+            baseForm
+        });
+    }
+
+    /**
+     * Explain a failed lookup in the error card
+     * @param {Error} error - Error object
+     * @param {string} word - Word that was searched
+     */
+    showSearchError(error, word) {
+        if (error instanceof WordNotFoundError) {
+            this.ui.showError(
+                'Word Not Found',
+                `Sorry, we couldn't find "${word}" in our dictionary. Please check your spelling and try again.`
+            );
+            this.suggestSpellings(word);
+            return;
+        }
+
+        // Anything other than a miss while offline means the entry isn't cached yet
+        if (!navigator.onLine) {
+            this.ui.showError(
+                'You\'re Offline',
+                `"${word}" hasn't been saved for offline use yet. Words you've looked up before are still available - reconnect to look up new ones.`,
+                'offline'
+            );
+        } else if (error instanceof RateLimitError) {
+            const wait = error.retryAfter ? `${error.retryAfter} seconds` : 'a moment';
+            this.ui.showError(
+                'Too Many Requests',
+                `The dictionary service is limiting how many words we can look up right now. Please wait ${wait} and try again.`
+            );
+        } else if (error instanceof ServerError) {
+            this.ui.showError(
+                'Dictionary Unavailable',
+                `The dictionary service is having trouble (error ${error.status}). This is usually temporary - please try again shortly.`
+            );
+        } else if (error instanceof MalformedResponseError) {
+            this.ui.showError(
+                'Unreadable Response',
+                'The dictionary service sent back something we couldn\'t read. Please try again later.'
+            );
+        } else if (error instanceof TimeoutError) {
+            this.ui.showError(
+                'Request Timeout',
+                'The request took too long. Please check your internet connection and try again.'
+            );
+        } else if (error instanceof NetworkError) {
+            this.ui.showError(
+                'Network Error',
+                'Unable to connect to the dictionary service. Please check your internet connection and try again.'
+            );
+        } else if (error instanceof HttpError) {
+            this.ui.showError(
+                'Request Failed',
+                `The dictionary service couldn't handle this request (error ${error.status}).`
+            );
+        } else {
+            this.ui.showError(
+                'Unexpected Error',
+                'An unexpected error occurred. Please try again later.'
+            );
+        }
+    }
+
+    /**
+     * Show a word's cached entry after its lookup failed, marked as a saved copy
+     * @param {string} word - Word whose lookup failed
+     */
+    async showCachedVersion(word) {
+        const record = await EntryCache.get(word);
+        if (!record) {
+            this.dom.get('errorCachedBtn').classList.add('hidden');
+            return;
+        }
+
+        // The user may have started another search meanwhile
+        if (this.state.currentQuery !== word) return;
+
+        this.showWordData(record.data);
+        this.ui.showSavedCopyNotice(record.fetchedAt);
+    }
+
+    /**
+     * Find a saved entry for the base form of a word ("run" for "running")
+     * @param {string} word - Word that failed to load
+     * @returns {Promise<string|null>} Cached base form, or null
+     */
+    async findCachedBaseForm(word) {
+        const cached = new Set(await EntryCache.keys());
+        return WordLinker.candidates(word).find(candidate => candidate !== word && cached.has(candidate)) || null;
+    }
+
+    /**
+     * Offer corrections for a word that wasn't found
+     * @param {string} word - Word that wasn't found
+     */
+    async suggestSpellings(word) {
+        const wordList = await WordList.load();
+
+        // Another search may have started while the list loaded
+        if (this.state.currentQuery !== word) return;
+
+        const suggestions = SpellingSuggester.suggest(word, {
+            favorites: FavoritesModel.words(this.state.favorites),
+            history: HistoryModel.words(this.state.searchHistory),
+            wordList
+        });
+
+        this.ui.showSpellingSuggestions(suggestions);
+    }
+
+    /**
+     * Search for a random word from the chosen source
+     */
+    async searchRandomWord() {
+        const candidates = (await this.randomCandidates())
+            .filter(word => word !== this.state.currentWord?.word);
+
+        if (candidates.length === 0) {
+            this.ui.showError(
+                'No Words to Pick From',
+                'The Random word source is empty. Save some words there, or change the source in Settings.'
+            );
+            return;
+        }
+
+        const word = candidates[Math.floor(Math.random() * candidates.length)];
+        this.searchWord(word);
+    }
+
+    /**
+     * Words Random can pick from, per the random source settings
+     * @returns {Promise<Array<string>>} Words
+     */
+    async randomCandidates() {
+        const { randomSource, randomLevel, randomTheme } = this.state.settings;
+        const { RANDOM_SOURCES } = SETTINGS_CONFIG;
+
+        if (randomSource === RANDOM_SOURCES.POOL) {
+            const pool = await WordPool.load();
+            return WordPool.filter(pool, WordPool.validFilter(pool, { level: randomLevel, theme: randomTheme }));
+        }
+
+        const records = randomSource === RANDOM_SOURCES.FAVORITES
+            ? this.state.favorites
+            : FavoritesModel.filter(this.state.favorites, { collectionId: randomSource });
+
+        return FavoritesModel.words(records);
+    }
+
+    /**
+     * Look up today's Word of the Day
+     */
+    async searchWordOfTheDay() {
+        const word = WordPool.wordOfTheDay(await WordPool.load());
+
+        if (word) {
+            this.searchWord(word);
+        } else {
+            this.ui.showError(
+                'Word of the Day Unavailable',
+                'The word pool could not be loaded. Please check your connection and try again.'
+            );
+        }
+    }
+
+    /**
+     * Mark the displayed word when it is today's Word of the Day
+     * @param {string} word - Displayed word
+     */
+    async updateWordOfDayBadge(word) {
+        const wordOfTheDay = WordPool.wordOfTheDay(await WordPool.load());
+        const isWordOfTheDay = wordOfTheDay !== null && word.toLowerCase() === wordOfTheDay;
+
+        // Another word may be on screen by now
+        if (this.state.currentWord?.word !== word) return;
+
+        this.dom.get('wordOfDayBadge').classList.toggle('hidden', !isWordOfTheDay);
+    }
+
+    /**
+     * Show the settings panel
+     * @param {Object} [options] - Display options
+     * @param {boolean} [options.updateRoute=true] - Reflect the panel in the URL
+     */
+    async showSettings({ updateRoute = true } = {}) {
+        this.sidebar.closeAll();
+        this.panels.show(this.dom.get('settingsView'));
+
+        if (updateRoute) {
+            this.navigateToPanel(ROUTES.SETTINGS);
+        }
+
+        await this.renderSettings();
+    }
+
+    /**
+     * Fill the settings form from state
+     */
+    async renderSettings() {
+        const pool = await WordPool.load();
+        const { settings } = this.state;
+        const form = this.dom.get('settingsForm');
+
+        const fillSelect = (select, options) => {
+            select.innerHTML = '';
+            options.forEach(({ value, label }) => {
+                const option = document.createElement('option');
+                option.value = value;
+                option.textContent = label;
+                select.appendChild(option);
+            });
+        };
+
+        fillSelect(this.dom.get('randomSourceSelect'), [
+            { value: SETTINGS_CONFIG.RANDOM_SOURCES.POOL, label: `Wordly word pool (${pool.words.length})` },
+            { value: SETTINGS_CONFIG.RANDOM_SOURCES.FAVORITES, label: `All favorites (${this.state.favorites.length})` },
+            ...this.state.collections.map(collection => ({
+                value: collection.id,
+                label: `${collection.name} (${FavoritesModel.countIn(this.state.favorites, collection.id)})`
+            }))
+        ]);
+        fillSelect(this.dom.get('randomLevelSelect'), [
+            { value: SETTINGS_CONFIG.ANY, label: 'Any level' },
+            ...pool.levels.map(level => ({ value: level, label: Utils.capitalize(level) }))
+        ]);
+        fillSelect(this.dom.get('randomThemeSelect'), [
+            { value: SETTINGS_CONFIG.ANY, label: 'Any theme' },
+            ...pool.themes.map(theme => ({ value: theme, label: Utils.capitalize(theme) }))
+        ]);
+
+        // A deleted collection falls back to the pool
+        const sourceSelect = this.dom.get('randomSourceSelect');
+        sourceSelect.value = settings.randomSource;
+        if (sourceSelect.value !== settings.randomSource) {
+            sourceSelect.value = SETTINGS_CONFIG.RANDOM_SOURCES.POOL;
+        }
+
+        // Levels and themes the word pool no longer has mean "any"
+        const { level, theme } = WordPool.validFilter(pool, {
+            level: settings.randomLevel,
+            theme: settings.randomTheme,
+        });
+        this.dom.get('randomLevelSelect').value = level;
+        this.dom.get('randomThemeSelect').value = theme;
+        this.dom.get('fixedWordInput').value = settings.fixedWord;
+        this.dom.get('autoplayInput').checked = settings.autoplay;
+
+        await this.renderSpeechSettings();
+
+        const startup = Array.from(form.querySelectorAll('input[name="startupWord"]'))
+            .find(input => input.value === settings.startupWord);
+        if (startup) startup.checked = true;
+
+        this.updateSettingsFields();
+    }
+
+    /**
+     * Fill the voice list and rate control
+     */
+    async renderSpeechSettings() {
+        const { settings } = this.state;
+        const supported = SpeechManager.isSupported();
+        const fieldset = this.dom.get('speechSettings');
+
+        fieldset.disabled = !supported;
+        fieldset.querySelector('.speech-unsupported').classList.toggle('hidden', supported);
+
+        const voiceSelect = this.dom.get('voiceSelect');
+        voiceSelect.innerHTML = '<option value="">Browser default</option>';
+
+        (await SpeechManager.loadVoices()).forEach(voice => {
+            const option = document.createElement('option');
+            option.value = voice.voiceURI;
+            option.textContent = `${voice.name} (${voice.lang})`;
+            voiceSelect.appendChild(option);
+        });
+        voiceSelect.value = settings.voiceURI;
+        if (voiceSelect.value !== settings.voiceURI) {
+            // The saved voice isn't installed on this device
+            voiceSelect.value = '';
+        }
+
+        const rateInput = this.dom.get('speechRateInput');
+        rateInput.min = SPEECH_CONFIG.MIN_RATE;
+        rateInput.max = SPEECH_CONFIG.MAX_RATE;
+        rateInput.step = SPEECH_CONFIG.RATE_STEP;
+        rateInput.value = settings.speechRate;
+        this.dom.get('speechRateValue').textContent = `${Number(settings.speechRate).toFixed(1)}×`;
+    }
+
+    /**
+     * Enable only the fields that apply to the chosen options
+     */
+    updateSettingsFields() {
+        const form = this.dom.get('settingsForm');
+        const startup = new FormData(form).get('startupWord');
+        const fromPool = this.dom.get('randomSourceSelect').value === SETTINGS_CONFIG.RANDOM_SOURCES.POOL;
+
+        this.dom.get('fixedWordInput').disabled = startup !== SETTINGS_CONFIG.STARTUP.FIXED;
+        this.dom.get('randomLevelSelect').disabled = !fromPool;
+        this.dom.get('randomThemeSelect').disabled = !fromPool;
+    }
+
+    /**
+     * Save the settings form
+     */
+    saveSettings() {
+        const form = this.dom.get('settingsForm');
+        const data = new FormData(form);
+        const fixedWord = this.dom.get('fixedWordInput').value.trim().toLowerCase();
+
+        this.state.settings = {
+            ...this.state.settings, // Options set outside the form
+            startupWord: data.get('startupWord') || SETTINGS_CONFIG.DEFAULTS.startupWord,
+            fixedWord: fixedWord || SETTINGS_CONFIG.DEFAULTS.fixedWord,
+            randomSource: this.dom.get('randomSourceSelect').value,
+            randomLevel: this.dom.get('randomLevelSelect').value,
+            randomTheme: this.dom.get('randomThemeSelect').value,
+            voiceURI: this.dom.get('voiceSelect').value,
+            speechRate: Number(this.dom.get('speechRateInput').value) || SETTINGS_CONFIG.DEFAULTS.speechRate,
+            autoplay: this.dom.get('autoplayInput').checked,
+        };
+
+        StorageManager.save(STORAGE_KEYS.SETTINGS, this.state.settings);
+        this.ui.speech.configure(this.state.settings);
+        this.updateSettingsFields();
+    }
+
+    /**
+     * Change a playback option from the pronunciation controls
+     * @param {Object} changes - { playbackRate } and/or { loopAudio }
+     */
+    updatePlaybackOptions(changes) {
+        this.reloadSavedData();
+        this.state.settings = { ...this.state.settings, ...changes };
+
+        StorageManager.save(STORAGE_KEYS.SETTINGS, this.state.settings);
+        this.ui.setPlaybackOptions(this.state.settings);
+    }
+
+    /**
+     * Add word to search history
+     * @param {string} word - Word to add
+     */
+    addToHistory(word) {
+        this.reloadSavedData();
+
+        // Move to the front, bumping the lookup count
+        this.state.searchHistory = HistoryModel.record(this.state.searchHistory, word);
+        this.state.activity = ActivityLog.record(this.state.activity, { lookups: 1 });
+
+        // Save to storage
+        StorageManager.save(STORAGE_KEYS.SEARCH_HISTORY, this.state.searchHistory);
+        StorageManager.save(STORAGE_KEYS.ACTIVITY, this.state.activity);
+
+        if (this.sidebar.activeSidebar === this.dom.get('historySidebar')) {
+            this.renderHistory();
+        }
+    }
+
+    /**
+     * Remove a single word from history
+     * @param {string} word - Word to remove
+     */
+    removeFromHistory(word) {
+        this.reloadSavedData();
+        const key = word.toLowerCase();
+        this.state.searchHistory = this.state.searchHistory.filter(entry => entry.word.toLowerCase() !== key);
+        StorageManager.save(STORAGE_KEYS.SEARCH_HISTORY, this.state.searchHistory);
+        this.renderHistory();
+    }
+
+    /**
+     * Show history sidebar
+     * @param {Object} [options] - Display options
+     * @param {boolean} [options.updateRoute=true] - Reflect the sidebar in the URL
+     */
+    showHistory({ updateRoute = true } = {}) {
+        this.renderHistory();
+        this.sidebar.showHistory();
+
+        if (updateRoute) {
+            this.navigateToSidebar(ROUTES.HISTORY);
+        }
+    }
+
+    /**
+     * Render the history list
+     */
+    renderHistory() {
+        const { query, sort } = this.state.historyView;
+        const entries = HistoryModel.view(this.state.searchHistory, { query, sort });
+        const now = Date.now();
+
+        this.ui.renderSidebarList(
+            this.dom.get('historyList'),
+            entries,
+            query.trim()
+                ? 'No words in your history match that filter.'
+                : 'No search history yet. Start exploring words!',
+            {
+                renderItem: (li, entry) => this.ui.renderHistoryItem(li, entry),
+                itemIsButton: false,
+                // Day groups only make sense in recency order
+                groupBy: sort === HistoryModel.SORT.RECENT
+                    ? (entry) => HistoryModel.dayLabel(entry.lastSearched, now)
+                    : null
+            }
+        );
+    }
+
+    /**
+     * Clear search history
+     */
+    clearHistory() {
+        if (confirm('Are you sure you want to clear your search history?')) {
+            this.reloadSavedData();
+            this.state.searchHistory = [];
+            StorageManager.save(STORAGE_KEYS.SEARCH_HISTORY, []);
+            this.renderHistory();
+        }
+    }
+
+    /**
+     * Check if a word is saved
+     * @param {string} word - Word
+     * @returns {boolean} True if the word is a favorite
+     */
+    isFavorite(word) {
+        return Boolean(FavoritesModel.find(this.state.favorites, word));
+    }
+
+    /**
+     * Persist favorites and collections
+     */
+    saveFavorites() {
+        StorageManager.save(STORAGE_KEYS.FAVORITES, this.state.favorites);
+        StorageManager.save(STORAGE_KEYS.COLLECTIONS, this.state.collections);
+    }
+
+    /**
+     * Refresh everything that shows favorites after a change
+     */
+    refreshFavorites() {
+        if (this.state.currentWord) {
+            this.ui.updateFavoriteButton(this.isFavorite(this.state.currentWord.word));
+        }
+
+        // Update favorites list if open
+        if (this.sidebar.activeSidebar === this.dom.get('favoritesSidebar')) {
+            this.renderFavorites();
+        }
+
+        this.updateReviewBadge();
+    }
+
+    /**
+     * Toggle favorite status of current word
+     */
+    toggleFavorite() {
+        if (!this.state.currentWord) return;
+
+        this.reloadSavedData();
+        const word = this.state.currentWord.word;
+
+        if (this.isFavorite(word)) {
+            // Remove from favorites
+            const record = FavoritesModel.find(this.state.favorites, word);
+            this.state.favorites = this.state.favorites.filter(r => r !== record);
+        } else {
+            // Add to favorites (into the collection being viewed, if any)
+            const { collectionId } = this.state.favoritesFilter;
+            const collections = collectionId === FavoritesModel.ALL ? [] : [collectionId];
+            this.state.favorites.push(FavoritesModel.createRecord(word, collections));
+        }
+
+        // Save to storage
+        this.saveFavorites();
+
+        // Update UI
+        this.refreshFavorites();
+    }
+
+    /**
+     * Get the current word's record, saving the word first if needed
+     * @returns {Object|null} Favorite record
+     */
+    ensureFavorite() {
+        if (!this.state.currentWord) return null;
+
+        const word = this.state.currentWord.word;
+        let record = FavoritesModel.find(this.state.favorites, word);
+
+        if (!record) {
+            record = FavoritesModel.createRecord(word);
+            this.state.favorites.push(record);
+        }
+
+        return record;
+    }
+
+    /**
+     * Open the collections/tags/notes picker for the current word
+     */
+    openFavoritePicker() {
+        if (!this.state.currentWord) return;
+
+        const record = FavoritesModel.find(this.state.favorites, this.state.currentWord.word);
+        this.ui.showFavoritePicker(record, this.state.collections);
+    }
+
+    /**
+     * Add or remove the current word from a collection (saving it if needed)
+     * @param {string} collectionId - Collection ID
+     * @param {boolean} included - Whether the word belongs in the collection
+     */
+    setWordInCollection(collectionId, included) {
+        this.reloadSavedData();
+        const record = this.ensureFavorite();
+        if (!record) return;
+
+        record.collections = record.collections.filter(id => id !== collectionId);
+        if (included) {
+            record.collections.push(collectionId);
+        }
+
+        this.saveFavorites();
+        this.refreshFavorites();
+
+        // Re-render only the checkboxes - tags and notes being typed aren't saved yet
+        const checkboxes = this.dom.get('pickerCollections');
+        const hadFocus = checkboxes.contains(document.activeElement);
+        this.ui.renderPickerCollections(record, this.state.collections);
+        this.ui.renderPickerStatus(record);
+
+        if (hadFocus) {
+            Array.from(checkboxes.querySelectorAll('input'))
+                .find(input => input.value === collectionId)
+                ?.focus();
+        }
+    }
+
+    /**
+     * Save tags and note from the picker
+     * @param {Object} [options] - Save options
+     * @param {boolean} [options.save=false] - Save the word even if it has no details yet
+     */
+    saveFavoriteDetails({ save = false } = {}) {
+        if (!this.state.currentWord) return;
+
+        const tags = FavoritesModel.parseTags(this.dom.get('pickerTagsInput').value);
+        const note = this.dom.get('pickerNoteInput').value.trim();
+
+        this.reloadSavedData();
+        const existing = FavoritesModel.find(this.state.favorites, this.state.currentWord.word);
+
+        // Closing the picker on an unsaved word without details doesn't save it
+        if (!existing && !save && tags.length === 0 && !note) {
+            return;
+        }
+
+        const record = existing || this.ensureFavorite();
+        record.tags = tags;
+        record.note = note;
+
+        this.saveFavorites();
+        this.refreshFavorites();
     }
 
     /**
-     * Load saved data from localStorage
+     * Create a collection
+     * @param {string} name - Collection name
+     * @returns {Object|null} New collection, or null if the name is empty or taken
      */
-    loadSavedData() {
-        this.state.searchHistory = StorageManager.load(
-            STORAGE_KEYS.SEARCH_HISTORY,
-            []
-        );
+    createCollection(name) {
+        const trimmed = name.trim();
+        if (!trimmed) return null;
 
-        this.state.favorites = StorageManager.load(
-            STORAGE_KEYS.FAVORITES,
-            []
+        this.reloadSavedData();
+        const exists = this.state.collections.some(
+            collection => collection.name.toLowerCase() === trimmed.toLowerCase()
         );
+        if (exists) return null;
+
+        const collection = FavoritesModel.createCollection(trimmed);
+        this.state.collections.push(collection);
+        this.saveFavorites();
+        return collection;
     }
 
     /**
-     * Setup all event listeners
+     * Handle the sidebar collection form (create or rename)
      */
-    setupEventListeners() {
-        // Search form
-        this.dom.get('searchForm').addEventListener('submit', (e) => {
-            e.preventDefault();
-            const word = this.dom.get('wordInput').value.trim();
-            if (word) {
-                this.searchWord(word);
+    submitCollectionForm() {
+        const input = this.dom.get('collectionNameInput');
+        const name = input.value.trim();
+        if (!name) return;
+
+        if (this.state.renamingCollectionId) {
+            this.reloadSavedData();
+            const collection = this.state.collections.find(
+                c => c.id === this.state.renamingCollectionId
+            );
+            if (collection) {
+                collection.name = name;
+                this.saveFavorites();
             }
-        });
+        } else {
+            const collection = this.createCollection(name);
+            if (collection) {
+                this.state.favoritesFilter.collectionId = collection.id;
+            }
+        }
 
-        // Quick action buttons
-        this.dom.get('randomWordBtn').addEventListener('click', () => {
-            this.searchRandomWord();
-        });
+        this.resetCollectionForm();
+        this.renderFavorites();
+    }
 
-        this.dom.get('historyBtn').addEventListener('click', () => {
-            this.showHistory();
-        });
+    /**
+     * Switch the collection form to rename the selected collection
+     */
+    startRenameCollection() {
+        const { collectionId } = this.state.favoritesFilter;
+        const collection = this.state.collections.find(c => c.id === collectionId);
+        if (!collection) return;
+
+        this.state.renamingCollectionId = collection.id;
+        const input = this.dom.get('collectionNameInput');
+        input.value = collection.name;
+        this.dom.get('collectionSubmitBtn').textContent = 'Rename';
+        input.focus();
+        input.select();
+    }
 
-        this.dom.get('favoritesBtn').addEventListener('click', () => {
-            this.showFavorites();
-        });
+    /**
+     * Return the collection form to "create" mode
+     */
+    resetCollectionForm() {
+        this.state.renamingCollectionId = null;
+        this.dom.get('collectionNameInput').value = '';
+        this.dom.get('collectionSubmitBtn').textContent = 'Create';
+    }
 
-        // Favorite button
-        this.dom.get('favoriteBtn').addEventListener('click', () => {
-            this.toggleFavorite();
-        });
+    /**
+     * Delete a collection (its words stay in favorites)
+     * @param {string} collectionId - Collection ID
+     */
+    deleteCollection(collectionId) {
+        const collection = this.state.collections.find(c => c.id === collectionId);
+        if (!collection) return;
 
-        // Audio button
-        this.dom.get('audioBtn').addEventListener('click', () => {
-            this.dom.get('wordAudio').play();
-        });
+        if (!confirm(`Delete the "${collection.name}" collection? Its words stay in your favorites.`)) {
+            return;
+        }
 
-        // Sidebar close buttons
-        this.dom.get('closeHistoryBtn').addEventListener('click', () => {
-            this.sidebar.closeAll();
+        this.reloadSavedData();
+        this.state.collections = this.state.collections.filter(c => c.id !== collectionId);
+        this.state.favorites.forEach(record => {
+            record.collections = record.collections.filter(id => id !== collectionId);
         });
+        this.state.favoritesFilter.collectionId = FavoritesModel.ALL;
 
-        this.dom.get('closeFavoritesBtn').addEventListener('click', () => {
-            this.sidebar.closeAll();
-        });
+        // Random can't draw from the deleted collection any more
+        if (this.state.settings.randomSource === collectionId) {
+            this.state.settings = { ...this.state.settings, randomSource: SETTINGS_CONFIG.RANDOM_SOURCES.POOL };
+            StorageManager.save(STORAGE_KEYS.SETTINGS, this.state.settings);
+        }
 
-        this.dom.get('sidebarOverlay').addEventListener('click', () => {
-            this.sidebar.closeAll();
-        });
+        this.saveFavorites();
+        this.resetCollectionForm();
+        this.renderFavorites();
+    }
 
-        // Clear buttons
-        this.dom.get('clearHistoryBtn').addEventListener('click', () => {
-            this.clearHistory();
-        });
+    /**
+     * Show favorites sidebar
+     * @param {Object} [options] - Display options
+     * @param {boolean} [options.updateRoute=true] - Reflect the sidebar in the URL
+     */
+    showFavorites({ updateRoute = true } = {}) {
+        this.renderFavorites();
+        this.sidebar.showFavorites();
 
-        this.dom.get('clearFavoritesBtn').addEventListener('click', () => {
-            this.clearFavorites();
-        });
+        if (updateRoute) {
+            this.navigateToSidebar(ROUTES.FAVORITES);
+        }
+    }
 
-        // Theme toggle
-        this.dom.get('themeToggle').addEventListener('click', () => {
-            this.theme.toggle();
-        });
+    /**
+     * Render the favorites list for the selected collection and tag
+     */
+    renderFavorites() {
+        const filter = this.state.favoritesFilter;
 
-        // Keyboard shortcuts
-        document.addEventListener('keydown', (e) => {
-            this.handleKeyboard(e);
-        });
+        // The selected collection may have been deleted elsewhere
+        if (filter.collectionId !== FavoritesModel.ALL &&
+            !this.state.collections.some(c => c.id === filter.collectionId)) {
+            filter.collectionId = FavoritesModel.ALL;
+        }
 
-        // History list clicks
-        this.dom.get('historyList').addEventListener('click', (e) => {
-            if (e.target.classList.contains('sidebar-list-item')) {
-                const word = e.target.textContent.toLowerCase();
-                this.searchWord(word);
-                this.sidebar.closeAll();
-            }
-        });
+        this.ui.renderCollectionControls(this.state.collections, this.state.favorites, filter);
 
-        // Favorites list clicks
-        this.dom.get('favoritesList').addEventListener('click', (e) => {
-            if (e.target.classList.contains('sidebar-list-item')) {
-                const word = e.target.textContent.toLowerCase();
-                this.searchWord(word);
-                this.sidebar.closeAll();
-            }
-        });
+        const isFiltered = filter.collectionId !== FavoritesModel.ALL || filter.tag;
+        this.ui.renderSidebarList(
+            this.dom.get('favoritesList'),
+            FavoritesModel.filter(this.state.favorites, filter),
+            isFiltered
+                ? 'No words here yet. Use the ▾ next to the star to add words to collections.'
+                : 'No favorite words yet. Click the star to save words!',
+            { renderItem: (li, record) => this.ui.renderFavoriteItem(li, record, this.state.collections) }
+        );
     }
 
     /**
-     * Handle keyboard shortcuts
-     * @param {KeyboardEvent} event - Keyboard event
+     * Clear all favorites
      */
-    handleKeyboard(event) {
-        // Focus search with "/"
-        if (event.key === '/' && 
-            document.activeElement !== this.dom.get('wordInput')) {
-            event.preventDefault();
-            this.dom.get('wordInput').focus();
+    clearFavorites() {
+        if (confirm('Are you sure you want to clear all your favorite words?')) {
+            this.reloadSavedData();
+            this.state.favorites = [];
+            StorageManager.save(STORAGE_KEYS.FAVORITES, []);
+            this.renderFavorites();
+            
+            // Update favorite button if current word was favorited
+            if (this.state.currentWord) {
+                this.ui.updateFavoriteButton(false);
+            }
+
+            this.updateReviewBadge();
         }
+    }
 
-        // Close sidebars with Escape
-        if (event.key === 'Escape') {
-            this.sidebar.closeAll();
+    /**
+     * Start a flashcard review of due favorites
+     * @param {Object} [options] - Display options
+     * @param {boolean} [options.updateRoute=true] - Reflect the review in the URL
+     */
+    startReview({ updateRoute = true } = {}) {
+        const dueWords = SpacedRepetition.dueWords(FavoritesModel.words(this.state.favorites), this.state.reviews);
+
+        this.sidebar.closeAll();
+        this.panels.show(this.dom.get('reviewView'));
+        this.review.start(dueWords, { ...this.state.reviews });
+
+        if (updateRoute) {
+            this.navigateToPanel(ROUTES.REVIEW);
         }
     }
 
     /**
-     * Search for a word
-     * @param {string} word - Word to search
+     * Start a quiz built from cached entries
+     * @param {Object} [options] - Display options
+     * @param {boolean} [options.updateRoute=true] - Reflect the quiz in the URL
      */
-    async searchWord(word) {
-        if (!word || word.trim() === '') {
-            this.ui.showError(
-                'Invalid Input',
-                'Please enter a word to look up.'
-            );
-            return;
+    async startQuiz({ updateRoute = true } = {}) {
+        this.sidebar.closeAll();
+        this.panels.show(this.dom.get('quizView'));
+        this.quiz.renderLoading();
+
+        if (updateRoute) {
+            this.navigateToPanel(ROUTES.QUIZ);
         }
 
-        const cleanWord = word.trim().toLowerCase();
+        const wordDataList = await EntryCache.getAll();
+        const questions = wordDataList.length >= QUIZ_CONFIG.MIN_WORDS
+            ? QuizGenerator.build(wordDataList)
+            : [];
 
-        // Update input field
-        this.dom.get('wordInput').value = cleanWord;
+        // The user may have left the quiz while entries loaded
+        if (this.panels.activePanel !== this.dom.get('quizView')) return;
 
-        // Show loading
-        this.ui.showLoading();
+        this.quiz.start(questions, wordDataList.length);
+    }
 
-        try {
-            // Fetch word data
-            const wordData = await DictionaryAPI.fetchWord(cleanWord);
+    /**
+     * Show the learning statistics dashboard
+     * @param {Object} [options] - Display options
+     * @param {boolean} [options.updateRoute=true] - Reflect the dashboard in the URL
+     */
+    async showStats({ updateRoute = true } = {}) {
+        this.sidebar.closeAll();
+        this.panels.show(this.dom.get('statsView'));
+        this.stats.renderLoading();
 
-            // Update state
-            this.state.currentWord = wordData;
+        if (updateRoute) {
+            this.navigateToPanel(ROUTES.STATS);
+        }
 
-            // Add to history
-            this.addToHistory(wordData.word);
+        // Parts of speech come from cached entries
+        const wordDataList = await EntryCache.getAll();
 
-            // Render word
-            const isFavorite = this.state.favorites.includes(wordData.word);
-            this.ui.renderWord(wordData, isFavorite);
+        // The user may have left the dashboard while entries loaded
+        if (this.panels.activePanel !== this.dom.get('statsView')) return;
 
-        } catch (error) {
-            console.error('Error searching word:', error);
-            this.handleSearchError(error, cleanWord);
-        }
+        this.stats.render(LearningStats.compute({
+            activity: this.state.activity,
+            history: this.state.searchHistory,
+            favorites: this.state.favorites,
+            reviews: this.state.reviews,
+            wordDataList
+        }));
     }
 
     /**
-     * Handle search errors
-     * @param {Error} error - Error object
-     * @param {string} word - Word that was searched
+     * Show the relationship graph for the current word
+     * @param {Object} [options] - Display options
+     * @param {boolean} [options.updateRoute=true] - Reflect the graph in the URL
      */
-    handleSearchError(error, word) {
-        switch (error.message) {
-            case 'WORD_NOT_FOUND':
-                this.ui.showError(
-                    'Word Not Found',
-                    `Sorry, we couldn't find "${word}" in our dictionary. Please check your spelling and try again.`
-                );
-                break;
+    showGraph({ updateRoute = true } = {}) {
+        this.sidebar.closeAll();
+        this.panels.show(this.dom.get('graphView'));
 
-            case 'TIMEOUT':
-                this.ui.showError(
-                    'Request Timeout',
-                    'The request took too long. Please check your internet connection and try again.'
-                );
-                break;
+        if (updateRoute) {
+            this.navigateToPanel(ROUTES.GRAPH);
+        }
 
-            case 'NETWORK_ERROR':
-                this.ui.showError(
-                    'Network Error',
-                    'Unable to connect to the dictionary service. Please check your internet connection and try again.'
-                );
-                break;
+        const wordData = this.state.currentWord;
+        if (!wordData) {
+            this.dom.get('graphSummary').textContent = 'Look up a word to explore it';
+            return;
+        }
 
-            default:
-                this.ui.showError(
-                    'Unexpected Error',
-                    'An unexpected error occurred. Please try again later.'
-                );
+        // Keep expanded neighbours while the same word is on screen
+        if (this.state.graph?.center !== wordData.word) {
+            this.state.graph = new WordGraph(wordData.word);
+            this.state.graph.expand(wordData.word, wordData.entries.flatMap(entry => entry.meanings));
         }
+
+        this.graphView.show(this.state.graph);
     }
 
     /**
-     * Search for a random word
+     * Fetch a word in the graph and add its related words
+     * @param {string} word - Word to expand
      */
-    searchRandomWord() {
-        const randomIndex = Math.floor(Math.random() * this.randomWords.length);
-        const word = this.randomWords[randomIndex];
-        this.searchWord(word);
+    async expandGraphNode(word) {
+        const { graph } = this.state;
+        const node = graph.nodes.get(word);
+
+        node.status = WordGraph.STATUS.LOADING;
+        this.graphView.update();
+
+        try {
+            const wordData = await DictionaryAPI.fetchWord(word);
+            graph.expand(word, wordData.entries.flatMap(entry => entry.meanings));
+        } catch (error) {
+            console.warn(`Could not expand "${word}" in the graph:`, error.message);
+            node.status = WordGraph.STATUS.MISSING;
+        }
+
+        // A different word may be centred by now
+        if (this.state.graph === graph) {
+            this.graphView.update();
+        }
     }
 
     /**
-     * Add word to search history
-     * @param {string} word - Word to add
+     * Show the backup (import/export) panel
+     * @param {Object} [options] - Display options
+     * @param {boolean} [options.updateRoute=true] - Reflect the panel in the URL
      */
-    addToHistory(word) {
-        // Remove if already exists
-        this.state.searchHistory = this.state.searchHistory.filter(
-            w => w !== word
-        );
-
-        // Add to beginning
-        this.state.searchHistory.unshift(word);
-
-        // Limit size
-        if (this.state.searchHistory.length > APP_CONSTANTS.MAX_HISTORY_ITEMS) {
-            this.state.searchHistory = this.state.searchHistory.slice(
-                0,
-                APP_CONSTANTS.MAX_HISTORY_ITEMS
-            );
+    showBackup({ updateRoute = true } = {}) {
+        this.sidebar.closeAll();
+        this.panels.show(this.dom.get('backupView'));
+        this.renderBackupSummary();
+        this.setBackupStatus('');
+
+        if (updateRoute) {
+            this.navigateToPanel(ROUTES.BACKUP);
         }
+    }
 
-        // Save to storage
-        StorageManager.save(STORAGE_KEYS.SEARCH_HISTORY, this.state.searchHistory);
+    /**
+     * Show what an export will contain
+     */
+    renderBackupSummary() {
+        const { favorites, collections, searchHistory } = this.state;
+        this.dom.get('backupSummary').textContent =
+            `${favorites.length} favorites · ${collections.length} collections · ${searchHistory.length} history`;
     }
 
     /**
-     * Show history sidebar
+     * Show an import/export status message
+     * @param {string} message - Message (empty to clear)
+     * @param {string} [variant='success'] - 'success' or 'error'
      */
-    showHistory() {
-        this.ui.renderSidebarList(
-            this.dom.get('historyList'),
-            this.state.searchHistory,
-            'No search history yet. Start exploring words!'
-        );
-        this.sidebar.showHistory();
+    setBackupStatus(message, variant = 'success') {
+        const status = this.dom.get('backupStatus');
+        status.textContent = message;
+        status.className = `backup-status ${variant}`;
+        status.classList.toggle('hidden', !message);
     }
 
     /**
-     * Clear search history
+     * Current favorites, collections and history in export shape
+     * @returns {Object} { favorites, collections, history }
      */
-    clearHistory() {
-        if (confirm('Are you sure you want to clear your search history?')) {
-            this.state.searchHistory = [];
-            StorageManager.save(STORAGE_KEYS.SEARCH_HISTORY, []);
-            this.showHistory();
-        }
+    exportableData() {
+        return {
+            favorites: this.state.favorites,
+            collections: this.state.collections,
+            history: this.state.searchHistory,
+        };
     }
 
     /**
-     * Toggle favorite status of current word
+     * Download favorites, collections and history
+     * @param {string} format - One of DataPorter.FORMATS
      */
-    toggleFavorite() {
-        if (!this.state.currentWord) return;
+    async exportData(format) {
+        const data = this.exportableData();
+        const date = new Date().toISOString().slice(0, 10);
+        const baseName = `${BACKUP_CONFIG.FILE_PREFIX}-${date}`;
+
+        switch (format) {
+            case DataPorter.FORMATS.JSON:
+                DataPorter.download(DataPorter.toJSON(data), `${baseName}.json`, 'application/json');
+                break;
 
-        const word = this.state.currentWord.word;
-        const index = this.state.favorites.indexOf(word);
+            case DataPorter.FORMATS.CSV:
+                DataPorter.download(DataPorter.toCSV(data), `${baseName}.csv`, 'text/csv');
+                break;
 
-        if (index > -1) {
-            // Remove from favorites
-            this.state.favorites.splice(index, 1);
-        } else {
-            // Add to favorites
-            if (this.state.favorites.length >= APP_CONSTANTS.MAX_FAVORITES_ITEMS) {
-                alert(`You can only save up to ${APP_CONSTANTS.MAX_FAVORITES_ITEMS} favorites.`);
-                return;
+            case DataPorter.FORMATS.ANKI: {
+                if (data.favorites.length === 0) {
+                    this.setBackupStatus('Save some favorites first - Anki cards are made from them.', 'error');
+                    return;
+                }
+                const wordDataList = await EntryCache.getAll();
+                DataPorter.download(DataPorter.toAnki(data, wordDataList), `${baseName}-anki.txt`, 'text/tab-separated-values');
+                break;
             }
-            this.state.favorites.push(word);
+
+            default:
+                return;
         }
 
-        // Save to storage
-        StorageManager.save(STORAGE_KEYS.FAVORITES, this.state.favorites);
+        this.setBackupStatus('Export ready - check your downloads.');
+    }
 
-        // Update UI
-        const isFavorite = this.state.favorites.includes(word);
-        this.ui.updateFavoriteButton(isFavorite);
+    /**
+     * Import favorites, collections and history from a file
+     * @param {File|undefined} file - Selected file
+     * @param {string} mode - 'merge' or 'replace'
+     */
+    async importData(file, mode) {
+        if (!file) {
+            this.setBackupStatus('Choose a file to import.', 'error');
+            return;
+        }
 
-        // Update favorites list if open
-        if (this.sidebar.activeSidebar === this.dom.get('favoritesSidebar')) {
-            this.showFavorites();
+        if (file.size > BACKUP_CONFIG.MAX_FILE_SIZE) {
+            this.setBackupStatus('That file is too large to be a Wordly backup.', 'error');
+            return;
+        }
+
+        let incoming;
+        try {
+            incoming = DataPorter.parse(await file.text());
+        } catch (error) {
+            this.setBackupStatus(`Import failed: ${error.message}`, 'error');
+            return;
+        }
+
+        if (mode === 'replace' &&
+            !confirm('Replace your current favorites, collections and history with this file?')) {
+            return;
         }
+
+        this.reloadSavedData();
+        const result = mode === 'replace'
+            ? incoming
+            : DataPorter.merge(this.exportableData(), incoming);
+
+        this.state.favorites = result.favorites;
+        this.state.collections = result.collections;
+        this.state.searchHistory = result.history;
+        this.state.favoritesFilter = { collectionId: FavoritesModel.ALL, tag: null };
+
+        this.saveFavorites();
+        StorageManager.save(STORAGE_KEYS.SEARCH_HISTORY, this.state.searchHistory);
+        this.refreshFavorites();
+        this.renderBackupSummary();
+        this.dom.get('importForm').reset();
+
+        this.setBackupStatus(
+            `Imported ${incoming.favorites.length} favorites, ${incoming.collections.length} collections ` +
+            `and ${incoming.history.length} history words (${mode === 'replace' ? 'replaced' : 'merged'}).`
+        );
     }
 
     /**
-     * Show favorites sidebar
+     * Record a review and reschedule the card
+     * @param {string} word - Word that was reviewed
+     * @param {number} grade - Recall quality (0-5)
+     * @returns {Object} Updated card
      */
-    showFavorites() {
-        this.ui.renderSidebarList(
-            this.dom.get('favoritesList'),
-            this.state.favorites,
-            'No favorite words yet. Click the star to save words!'
-        );
-        this.sidebar.showFavorites();
+    gradeReview(word, grade) {
+        this.reloadSavedData();
+        const card = this.state.reviews[word] || SpacedRepetition.createCard();
+        const updated = SpacedRepetition.review(card, grade);
+
+        this.state.reviews[word] = updated;
+        this.state.activity = ActivityLog.record(this.state.activity, {
+            reviews: 1,
+            correct: grade >= REVIEW_CONFIG.PASSING_GRADE ? 1 : 0,
+        });
+
+        StorageManager.save(STORAGE_KEYS.REVIEWS, this.state.reviews);
+        StorageManager.save(STORAGE_KEYS.ACTIVITY, this.state.activity);
+        this.updateReviewBadge();
+
+        return updated;
     }
 
     /**
-     * Clear all favorites
+     * Show how many favorites are due on the Review button
      */
-    clearFavorites() {
-        if (confirm('Are you sure you want to clear all your favorite words?')) {
-            this.state.favorites = [];
-            StorageManager.save(STORAGE_KEYS.FAVORITES, []);
-            this.showFavorites();
-            
-            // Update favorite button if current word was favorited
-            if (this.state.currentWord) {
-                this.ui.updateFavoriteButton(false);
-            }
-        }
+    updateReviewBadge() {
+        const dueCount = SpacedRepetition.dueWords(FavoritesModel.words(this.state.favorites), this.state.reviews).length;
+        const badge = this.dom.get('reviewDueCount');
+
+        badge.textContent = dueCount;
+        badge.classList.toggle('hidden', dueCount === 0);
     }
 }
 
@@ -0,0 +1,181 @@
+/**
+ * =====================================================
+ * WORDLY - Service Worker
+ * =====================================================
+ * Author: Gregory Marshall, Jr.
+ * Description: Precaches the app shell and fonts so Wordly works offline
+ */
+
+// ===== CONFIGURATION =====
+
+/**
+ * Cache version - bump on every release so clients pick up new assets
+ */
+const CACHE_VERSION = 'v2';
+
+/**
+ * Cache names
+ */
+const CACHE_NAMES = {
+    SHELL: `wordly-shell-${CACHE_VERSION}`,
+    FONTS: `wordly-fonts-${CACHE_VERSION}`,
+};
+
+/**
+ * App shell assets (relative to the service worker scope)
+ */
+const SHELL_ASSETS = [
+    './',
+    'index.html',
+    'styles.css',
+    'app.js',
+    'glossary.json',
+    'wordlist.json',
+    'wordpool.json',
+    'manifest.webmanifest',
+    'icons/icon.svg',
+    'icons/icon-maskable.svg',
+];
+
+/**
+ * Google Fonts stylesheet used by index.html
+ */
+const FONTS_STYLESHEET = 'https://fonts.googleapis.com/css2?family=Inter:wght@400;500;600;700&family=Poppins:wght@600;700;800&display=swap';
+
+/**
+ * Font hosts served cache-first
+ */
+const FONT_HOSTS = ['fonts.googleapis.com', 'fonts.gstatic.com'];
+
+// ===== PRECACHING =====
+
+/**
+ * Precache the fonts stylesheet and every font file it references
+ * @returns {Promise<void>}
+ */
+async function precacheFonts() {
+    const cache = await caches.open(CACHE_NAMES.FONTS);
+    const response = await fetch(FONTS_STYLESHEET, { mode: 'cors' });
+
+    if (!response.ok) {
+        throw new Error(`Failed to fetch fonts stylesheet: ${response.status}`);
+    }
+
+    await cache.put(FONTS_STYLESHEET, response.clone());
+
+    const css = await response.text();
+    const fontUrls = Array.from(
+        css.matchAll(/url\((https:\/\/fonts\.gstatic\.com\/[^)]+)\)/g),
+        match => match[1]
+    );
+
+    await cache.addAll(fontUrls);
+}
+
+self.addEventListener('install', (event) => {
+    event.waitUntil((async () => {
+        const shell = await caches.open(CACHE_NAMES.SHELL);
+        await shell.addAll(SHELL_ASSETS);
+
+        // Fonts are nice to have - never fail the install because of them
+        try {
+            await precacheFonts();
+        } catch (error) {
+            console.warn('Fonts could not be precached:', error);
+        }
+    })());
+});
+
+self.addEventListener('activate', (event) => {
+    const currentCaches = Object.values(CACHE_NAMES);
+
+    event.waitUntil((async () => {
+        const names = await caches.keys();
+        await Promise.all(
+            names
+                .filter(name => name.startsWith('wordly-') && !currentCaches.includes(name))
+                .map(name => caches.delete(name))
+        );
+        await self.clients.claim();
+    })());
+});
+
+// ===== UPDATES =====
+
+/**
+ * The page asks the waiting worker to take over once the user accepts the update
+ */
+self.addEventListener('message', (event) => {
+    if (event.data?.type === 'SKIP_WAITING') {
+        self.skipWaiting();
+    }
+});
+
+// ===== FETCH STRATEGIES =====
+
+/**
+ * Network first, falling back to the cache. Only successful responses are
+ * cached, so an error page never becomes the offline copy.
+ * @param {Request} request - Request to serve
+ * @param {string} cacheName - Cache to read from and write to
+ * @param {string|Request} [cacheKey] - Cache entry to use (defaults to the request)
+ * @returns {Promise<Response>}
+ */
+async function networkFirst(request, cacheName, cacheKey = request) {
+    try {
+        const response = await fetch(request);
+        if (response.ok) {
+            const cache = await caches.open(cacheName);
+            cache.put(cacheKey, response.clone());
+        }
+        return response;
+    } catch (error) {
+        const cached = await caches.match(cacheKey);
+        if (cached) return cached;
+        throw error;
+    }
+}
+
+/**
+ * Cache first, populating the given cache on a miss
+ * @param {Request} request - Asset request
+ * @param {string} cacheName - Cache to read from and write to
+ * @returns {Promise<Response>}
+ */
+async function cacheFirst(request, cacheName) {
+    const cached = await caches.match(request);
+    if (cached) return cached;
+
+    const response = await fetch(request);
+    if (response.ok || response.type === 'opaque') {
+        const cache = await caches.open(cacheName);
+        cache.put(request, response.clone());
+    }
+    return response;
+}
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+
+    // Every page is the app shell
+    if (request.mode === 'navigate') {
+        event.respondWith(networkFirst(request, CACHE_NAMES.SHELL, 'index.html'));
+        return;
+    }
+
+    if (FONT_HOSTS.includes(url.hostname)) {
+        event.respondWith(cacheFirst(request, CACHE_NAMES.FONTS));
+        return;
+    }
+
+    // Same-origin shell assets come from the network while online, so the
+    // script and markup never drift apart; dictionary lookups are cached by
+    // the app itself
+    if (url.origin === self.location.origin) {
+        event.respondWith(networkFirst(request, CACHE_NAMES.SHELL));
+    }
+});